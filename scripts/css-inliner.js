@@ -0,0 +1,151 @@
+const cheerio = require('cheerio');
+
+// Pseudo-classes and pseudo-elements cannot be written into a style attribute
+const PSEUDO_PATTERN = /::?[a-z-]+/i;
+
+/**
+ * Move <style> rules onto the elements they match
+ * Outlook and many webmail clients drop <style> blocks, so customer emails
+ * carry their styling in style attributes. At-rules such as @media and
+ * pseudo-class rules cannot be inlined and stay in a single <style> block
+ * for the clients that support them.
+ */
+class CssInliner {
+  /**
+   * Inline the styles of an HTML document
+   */
+  static inline(html) {
+    const $ = cheerio.load(html);
+    const sheet = $('style').map((index, element) => $(element).html()).get().join('\n');
+    const { rules, preserved } = CssInliner.parse(sheet);
+
+    const applied = new Map();
+    rules
+      .slice()
+      .sort((a, b) => CssInliner.compareSpecificity(a.specificity, b.specificity) || a.order - b.order)
+      .forEach(rule => {
+        $(rule.selector).each((index, element) => {
+          if (!applied.has(element)) {
+            applied.set(element, new Map());
+          }
+          rule.declarations.forEach(([property, value]) => {
+            const declarations = applied.get(element);
+            // Re-insert so the winning declaration keeps cascade order
+            declarations.delete(property);
+            declarations.set(property, value);
+          });
+        });
+      });
+
+    applied.forEach((declarations, element) => {
+      // Styles already on the element win over the sheet
+      CssInliner.parseDeclarations($(element).attr('style') || '').forEach(([property, value]) => {
+        declarations.delete(property);
+        declarations.set(property, value);
+      });
+      $(element).attr('style', Array.from(declarations, ([property, value]) => `${property}: ${value}`).join('; ') + ';');
+    });
+
+    $('style').remove();
+    if (preserved.length > 0) {
+      $('head').append(`<style>\n${preserved.join('\n')}\n</style>\n`);
+    }
+
+    return $.html();
+  }
+
+  /**
+   * Split a stylesheet into inlinable rules, one per selector, and the raw
+   * text of the rules that must stay in a <style> block
+   */
+  static parse(css) {
+    const source = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+    const rules = [];
+    const preserved = [];
+    let index = 0;
+
+    while (index < source.length) {
+      const open = source.indexOf('{', index);
+      if (open === -1) {
+        break;
+      }
+
+      const prelude = source.slice(index, open).trim();
+      const close = CssInliner.findBlockEnd(source, open);
+      const body = source.slice(open + 1, close);
+      index = close + 1;
+
+      if (prelude.startsWith('@')) {
+        preserved.push(`${prelude} {${body}}`);
+        continue;
+      }
+
+      const declarations = CssInliner.parseDeclarations(body);
+      const inlinable = [];
+      prelude.split(',').map(selector => selector.trim()).filter(Boolean).forEach(selector => {
+        if (PSEUDO_PATTERN.test(selector)) {
+          preserved.push(`${selector} {${body}}`);
+        } else {
+          inlinable.push(selector);
+        }
+      });
+
+      inlinable.forEach(selector => rules.push({
+        selector,
+        declarations,
+        specificity: CssInliner.specificity(selector),
+        order: rules.length
+      }));
+    }
+
+    return { rules, preserved };
+  }
+
+  /**
+   * Index of the brace closing the block opened at `open`
+   */
+  static findBlockEnd(source, open) {
+    let depth = 0;
+    for (let index = open; index < source.length; index++) {
+      if (source[index] === '{') {
+        depth += 1;
+      } else if (source[index] === '}') {
+        depth -= 1;
+        if (depth === 0) {
+          return index;
+        }
+      }
+    }
+    return source.length;
+  }
+
+  /**
+   * [[property, value]] pairs of a declaration block
+   */
+  static parseDeclarations(block) {
+    return String(block || '')
+      .split(';')
+      .map(declaration => declaration.trim())
+      .filter(declaration => declaration.includes(':'))
+      .map(declaration => {
+        const colon = declaration.indexOf(':');
+        return [declaration.slice(0, colon).trim().toLowerCase(), declaration.slice(colon + 1).trim()];
+      });
+  }
+
+  /**
+   * [ids, classes and attributes, elements] of a selector without pseudos
+   */
+  static specificity(selector) {
+    const ids = (selector.match(/#[\w-]+/g) || []).length;
+    const classes = (selector.match(/\.[\w-]+|\[[^\]]*\]/g) || []).length;
+    const elements = (selector.replace(/#[\w-]+|\.[\w-]+|\[[^\]]*\]/g, ' ').match(/(^|[\s>+~])[a-z][\w-]*/gi) || []).length;
+    return [ids, classes, elements];
+  }
+
+  static compareSpecificity(a, b) {
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+  }
+}
+
+module.exports = CssInliner;
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_DIRECTORY_PATH = path.resolve(__dirname, '../customers.yml');
+
+const VALID_ROLES = ['to', 'cc', 'bcc'];
+
+/**
+ * Customer directory loaded from customers.yml
+ * Maps customer keys (e.g. "acme") to contacts and delivery preferences so a
+ * release can name customers instead of listing raw addresses
+ */
+class CustomerDirectory {
+  constructor(customers = {}) {
+    this.customers = {};
+    Object.entries(customers || {}).forEach(([key, customer]) => {
+      this.customers[CustomerDirectory.normalizeKey(key)] = customer;
+    });
+  }
+
+  /**
+   * Load the directory from CUSTOMER_DIRECTORY_PATH or the repository default
+   */
+  static load(directoryPath = process.env.CUSTOMER_DIRECTORY_PATH || DEFAULT_DIRECTORY_PATH) {
+    if (!fs.existsSync(directoryPath)) {
+      return new CustomerDirectory({});
+    }
+
+    let data;
+    try {
+      data = yaml.load(fs.readFileSync(directoryPath, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Invalid customer directory ${directoryPath}: ${error.message}`);
+    }
+
+    return new CustomerDirectory(data.customers || {});
+  }
+
+  /**
+   * Normalize a customer key for lookup
+   */
+  static normalizeKey(key) {
+    return String(key || '').trim().toLowerCase();
+  }
+
+  /**
+   * All known customer keys
+   */
+  getKeys() {
+    return Object.keys(this.customers);
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.customers, CustomerDirectory.normalizeKey(key));
+  }
+
+  /**
+   * Customer entry with defaults applied, or null for unknown keys
+   */
+  getCustomer(key) {
+    const normalized = CustomerDirectory.normalizeKey(key);
+    if (!this.has(normalized)) {
+      return null;
+    }
+
+    const customer = this.customers[normalized] || {};
+    return {
+      key: normalized,
+      name: customer.name || normalized,
+      format: customer.format || 'html',
+      allowedDomains: (customer.allowed_domains || []).map(domain => String(domain).toLowerCase()),
+      contacts: customer.contacts || [],
+      knownRecipients: (customer.known_recipients || []).map(email => String(email).trim())
+    };
+  }
+
+  /**
+   * Expand a customer key into recipients tagged with the customer key
+   */
+  expand(key) {
+    const customer = this.getCustomer(key);
+    if (!customer) {
+      return [];
+    }
+
+    return customer.contacts.map(contact => ({
+      name: contact.name || '',
+      email: String(contact.email || '').trim(),
+      role: VALID_ROLES.includes(contact.role) ? contact.role : 'to',
+      customer: customer.key
+    }));
+  }
+}
+
+module.exports = CustomerDirectory;
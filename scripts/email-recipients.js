@@ -0,0 +1,115 @@
+/**
+ * RFC 5322 style recipient handling shared by the parser, validator and senders
+ * A recipient is { name, email, role } where role is 'to', 'cc' or 'bcc'
+ */
+class EmailRecipients {
+  /**
+   * Parse an address list such as
+   * 'Jane Doe <jane@acme.com>, "Doe, John" <john@acme.com>, ops@acme.com'
+   * Bare addresses may also be separated by whitespace.
+   */
+  static parse(value, role = 'to') {
+    return EmailRecipients.splitAddressList(value || '').flatMap(part => {
+      const angle = part.match(/^(.*?)<([^<>]*)>\s*$/);
+      if (angle) {
+        return [{ name: EmailRecipients.unquote(angle[1].trim()), email: angle[2].trim(), role }];
+      }
+
+      return part.split(/\s+/).filter(Boolean).map(email => ({ name: '', email, role }));
+    });
+  }
+
+  /**
+   * Split on commas and semicolons outside quoted names and angle brackets
+   */
+  static splitAddressList(value) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    let angled = false;
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+
+      if (char === '\\' && quoted && i + 1 < value.length) {
+        current += char + value[++i];
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && char === '<') {
+        angled = true;
+      } else if (!quoted && char === '>') {
+        angled = false;
+      } else if (!quoted && !angled && (char === ',' || char === ';')) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  /**
+   * Remove surrounding quotes and backslash escapes from a display name
+   */
+  static unquote(name) {
+    const match = name.match(/^"([\s\S]*)"$/);
+    return match ? match[1].replace(/\\(.)/g, '$1') : name;
+  }
+
+  /**
+   * Format a recipient for a message header, quoting the display name when needed
+   */
+  static format(recipient) {
+    if (!recipient.name) {
+      return recipient.email;
+    }
+
+    const name = /^[A-Za-z0-9!#$%&'*+\-/=?^_`{|}~ ]+$/.test(recipient.name)
+      ? recipient.name
+      : `"${recipient.name.replace(/(["\\])/g, '\\$1')}"`;
+
+    return `${name} <${recipient.email}>`;
+  }
+
+  /**
+   * Recipients with the given role
+   */
+  static byRole(recipients, role) {
+    return recipients.filter(recipient => (recipient.role || 'to') === role);
+  }
+
+  /**
+   * Read recipients serialized by the parser (JSON), falling back to a plain
+   * comma-separated list of To addresses
+   */
+  static fromEnv(json, emails) {
+    if (json) {
+      const recipients = JSON.parse(json);
+      if (!Array.isArray(recipients)) {
+        throw new Error('Customer recipients must be a JSON array');
+      }
+
+      return recipients.map(recipient => ({
+        name: recipient.name || '',
+        email: String(recipient.email || '').trim(),
+        role: recipient.role || 'to',
+        ...(recipient.customer ? { customer: recipient.customer } : {})
+      }));
+    }
+
+    return (emails || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean)
+      .map(email => ({ name: '', email, role: 'to' }));
+  }
+}
+
+module.exports = EmailRecipients;
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transport that writes each message to an .eml file instead of
+ * sending it, for local runs and previews
+ */
+class FileTransport {
+  constructor({ directory = 'outbox' } = {}) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Directory from MAIL_OUTBOX_DIR or email.transport.file.directory
+   */
+  static fromConfig(config, env = process.env) {
+    return new FileTransport({
+      directory: env.MAIL_OUTBOX_DIR || config.get('email.transport.file.directory', 'outbox')
+    });
+  }
+
+  /**
+   * Write a MimeMessage, Bcc header included, to <directory>/<time>-<id>.eml
+   */
+  async send(message) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const id = message.messageId.replace(/^<|>$/g, '').replace(/[^\w.-]+/g, '_');
+    const filePath = path.join(this.directory, `${message.date.toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+    fs.writeFileSync(filePath, await message.build());
+
+    return {
+      messageId: message.messageId,
+      rfcMessageId: message.messageId,
+      path: filePath
+    };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,67 @@
+const { google } = require('googleapis');
+
+/**
+ * Mail transport that sends through the Gmail API with OAuth2 credentials
+ */
+class GmailApiTransport {
+  constructor({ clientId, clientSecret, refreshToken } = {}) {
+    if (!clientId || !clientSecret || !refreshToken) {
+      throw new Error('Missing Gmail credentials in environment variables.');
+    }
+
+    this.name = 'gmail_api';
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.refreshToken = refreshToken;
+  }
+
+  /**
+   * Read GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET and GMAIL_REFRESH_TOKEN
+   */
+  static fromEnv(env = process.env) {
+    return new GmailApiTransport({
+      clientId: env.GMAIL_CLIENT_ID,
+      clientSecret: env.GMAIL_CLIENT_SECRET,
+      refreshToken: env.GMAIL_REFRESH_TOKEN
+    });
+  }
+
+  /**
+   * Get Gmail API client with authentication
+   */
+  async getGmailClient() {
+    const oauth2Client = new google.auth.OAuth2(
+      this.clientId,
+      this.clientSecret,
+      'urn:ietf:wg:oauth:2.0:oob'
+    );
+
+    oauth2Client.setCredentials({
+      refresh_token: this.refreshToken
+    });
+
+    return google.gmail({ version: 'v1', auth: oauth2Client });
+  }
+
+  /**
+   * Send a MimeMessage; Gmail reads the recipients, including Bcc, from
+   * the raw message
+   */
+  async send(message) {
+    const gmail = await this.getGmailClient();
+    const response = await gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: await message.toGmailRaw()
+      }
+    });
+
+    return {
+      messageId: response.data.id,
+      threadId: response.data.threadId,
+      rfcMessageId: message.messageId
+    };
+  }
+}
+
+module.exports = GmailApiTransport;
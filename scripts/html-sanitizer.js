@@ -0,0 +1,131 @@
+const cheerio = require('cheerio');
+
+// Tags kept in customer HTML; anything else is unwrapped to its content
+const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'strong', 'b', 'em', 'i', 'del', 's', 'u', 'sub', 'sup',
+  'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a', 'img', 'input',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'span', 'div'
+];
+
+// Tags removed together with their content
+const DROPPED_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'template', 'textarea', 'select', 'button', 'svg', 'math',
+  'head', 'title', 'base', 'link', 'meta'
+];
+
+// Attributes kept per tag
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  ol: ['start'],
+  th: ['align', 'colspan', 'rowspan'],
+  td: ['align', 'colspan', 'rowspan']
+};
+
+// URL schemes allowed per attribute; relative URLs mean nothing in an email
+const ALLOWED_SCHEMES = {
+  href: ['http', 'https', 'mailto'],
+  src: ['http', 'https']
+};
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const UNESCAPES = Object.fromEntries(Object.entries(ESCAPES).map(([char, entity]) => [entity, char]));
+
+/**
+ * Allowlist sanitizer for HTML that goes out in customer emails
+ * Release bodies are written by any collaborator, so rendered markdown is
+ * reduced to known tags, attributes and URL schemes before it is sent
+ */
+class HtmlSanitizer {
+  /**
+   * Escape text for use in HTML content or a quoted attribute
+   */
+  static escape(text) {
+    return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, char => ESCAPES[char]);
+  }
+
+  /**
+   * Undo escape(). The marked lexer escapes inline text this way, while ADF
+   * and plain text want it raw.
+   */
+  static unescape(text) {
+    return String(text || '').replace(/&(?:amp|lt|gt|quot|#39);/g, entity => UNESCAPES[entity]);
+  }
+
+  /**
+   * The URL when its scheme is allowed for the attribute, otherwise ''
+   */
+  static safeUrl(url, attribute = 'href') {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const compact = String(url || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    return scheme && ALLOWED_SCHEMES[attribute].includes(scheme[1].toLowerCase()) ? String(url).trim() : '';
+  }
+
+  /**
+   * Sanitize an HTML fragment
+   */
+  static sanitize(html) {
+    const $ = cheerio.load(html || '', null, false);
+    HtmlSanitizer.cleanChildren($, $.root()[0]);
+    return $.html();
+  }
+
+  static cleanChildren($, parent) {
+    for (const node of [...(parent.children || [])]) {
+      if (node.type === 'text') {
+        continue;
+      }
+
+      const name = (node.name || '').toLowerCase();
+      if (!['tag', 'script', 'style'].includes(node.type) || DROPPED_TAGS.includes(name)) {
+        $(node).remove();
+        continue;
+      }
+
+      HtmlSanitizer.cleanChildren($, node);
+
+      if (!ALLOWED_TAGS.includes(name)) {
+        $(node).replaceWith($(node).contents());
+        continue;
+      }
+
+      HtmlSanitizer.cleanAttributes($, node, name);
+    }
+  }
+
+  static cleanAttributes($, node, name) {
+    const allowed = ALLOWED_ATTRIBUTES[name] || [];
+
+    for (const attribute of Object.keys(node.attribs || {})) {
+      const value = node.attribs[attribute];
+      const keep = allowed.includes(attribute) &&
+        (!ALLOWED_SCHEMES[attribute] || HtmlSanitizer.safeUrl(value, attribute));
+      if (!keep) {
+        $(node).removeAttr(attribute);
+      }
+    }
+
+    if (name === 'input') {
+      // Only the read-only check boxes of task lists
+      if ($(node).attr('type') !== 'checkbox') {
+        $(node).remove();
+        return;
+      }
+      $(node).attr('disabled', '');
+    }
+
+    if (name === 'a' && $(node).attr('href')) {
+      $(node).attr('rel', 'noopener noreferrer');
+    }
+  }
+}
+
+HtmlSanitizer.ALLOWED_TAGS = ALLOWED_TAGS;
+HtmlSanitizer.ALLOWED_ATTRIBUTES = ALLOWED_ATTRIBUTES;
+
+module.exports = HtmlSanitizer;
@@ -0,0 +1,86 @@
+const ReleaseDocument = require('./release-document');
+
+// "<!-- internal -->" opens a block, "<!-- /internal -->" or "<!-- end internal -->" closes it
+const BLOCK_START_PATTERN = /^\s*<!--\s*internal\s*-->\s*$/i;
+const BLOCK_END_PATTERN = /^\s*<!--\s*(?:\/|end\s+)internal\s*-->\s*$/i;
+
+const DEFAULT_SECTIONS = ['Notes for Engineering Team'];
+
+/**
+ * Internal-only parts of a release body
+ * Configured sections (with their subsections) and <!-- internal --> blocks
+ * are withheld from customer-facing content; Jira and PO outputs keep them
+ */
+class InternalContent {
+  constructor({ sections = DEFAULT_SECTIONS } = {}) {
+    this.sections = sections;
+  }
+
+  /**
+   * Build from the internal_content section of the release config
+   */
+  static fromConfig(config) {
+    return new InternalContent({ sections: config.get('internal_content.sections', DEFAULT_SECTIONS) });
+  }
+
+  /**
+   * Locate internal content, returning [{ kind, label, startLine, endLine, closed }]
+   * in document order. kind is 'section' or 'block'; an unclosed block runs
+   * to the end of the body. Pass the already parsed document of the
+   * markdown to avoid parsing it again.
+   */
+  find(markdown, releaseDocument = new ReleaseDocument(markdown)) {
+    const lines = ReleaseDocument.normalize(markdown).split('\n');
+    const keys = releaseDocument.resolveAliases(this.sections).map(ReleaseDocument.normalizeLabel);
+    const sections = releaseDocument.getSections();
+    const found = [];
+
+    sections.forEach((section, index) => {
+      if (!keys.includes(section.key)) {
+        return;
+      }
+
+      const next = sections.slice(index + 1).find(entry => entry.level <= section.level);
+      const endLine = next ? next.line - 1 : lines.length;
+      const enclosing = found.find(entry => entry.startLine <= section.line && entry.endLine >= endLine);
+      if (!enclosing) {
+        found.push({ kind: 'section', label: section.title, startLine: section.line, endLine, closed: true });
+      }
+    });
+
+    let start = null;
+    lines.forEach((line, index) => {
+      if (start === null && BLOCK_START_PATTERN.test(line)) {
+        start = index + 1;
+      } else if (start !== null && BLOCK_END_PATTERN.test(line)) {
+        found.push({ kind: 'block', label: 'internal block', startLine: start, endLine: index + 1, closed: true });
+        start = null;
+      }
+    });
+    if (start !== null) {
+      found.push({ kind: 'block', label: 'internal block', startLine: start, endLine: lines.length, closed: false });
+    }
+
+    return found.sort((a, b) => a.startLine - b.startLine);
+  }
+
+  /**
+   * Remove internal content, returning { markdown, redactions }
+   * Redacted lines are blanked rather than dropped so line numbers still
+   * match the source
+   */
+  redact(markdown) {
+    const redactions = this.find(markdown);
+    const lines = ReleaseDocument.normalize(markdown).split('\n');
+
+    const redacted = lines.map((line, index) =>
+      redactions.some(entry => index + 1 >= entry.startLine && index + 1 <= entry.endLine) ? '' : line
+    );
+
+    return { markdown: redactions.length > 0 ? redacted.join('\n') : markdown || '', redactions };
+  }
+}
+
+InternalContent.DEFAULT_SECTIONS = DEFAULT_SECTIONS;
+
+module.exports = InternalContent;
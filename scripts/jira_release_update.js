@@ -3,6 +3,11 @@
 
 const axios = require('axios');
 const moment = require('moment');
+const EmailRecipients = require('./email-recipients');
+const MarkdownToAdf = require('./markdown-to-adf');
+const ReleaseConfig = require('./release-config');
+const ReleaseDocument = require('./release-document');
+const ReleaseTemplate = require('./release-template');
 
 // Environment variables
 const {
@@ -14,6 +19,10 @@ const {
   RELEASE_BODY,
   RELEASE_TAG,
   RELEASE_AUTHOR,
+  RELEASE_TYPE,
+  CUSTOMER_EMAILS,
+  CUSTOMER_RECIPIENTS,
+  PROJECT_NAME, // optional, for project-specific Jira keys
   FILE_MANIFEST // comma-separated list or JSON
 } = process.env;
 
@@ -27,49 +36,45 @@ if (!RELEASE_TITLE || !RELEASE_URL || !RELEASE_BODY) {
   process.exit(1);
 }
 
-// Extract Jira issue keys (e.g., CAST-236)
-const jiraKeyPattern = /[A-Z]+-\d+/g;
-const jiraKeys = Array.from(new Set((RELEASE_BODY.match(jiraKeyPattern) || [])));
+// Extract Jira issue keys (e.g., CAST-236) allowed by release_config.yml
+const config = ReleaseConfig.load();
+const jiraKeys = config.findJiraTickets(RELEASE_BODY, PROJECT_NAME);
 
 if (jiraKeys.length === 0) {
   console.log('No Jira keys found in release body.');
   process.exit(0);
 }
 
-// Extract Issue + Resolution summary from release body (simple heuristic)
-function extractSection(section) {
-  const regex = new RegExp(`##? ${section}([\s\S]*?)(?:\n##|$)`, 'i');
-  const match = RELEASE_BODY.match(regex);
-  return match ? match[1].trim() : '';
-}
-const issueSummary = extractSection('Issue Summary');
-const resolution = extractSection('Resolution');
+const releaseDocument = new ReleaseDocument(RELEASE_BODY);
 
-// Prepare file manifest
-let fileList = '';
+// Prepare file manifest, falling back to the checked "Files Included" items
+let files = releaseDocument.getIncludedFiles().map(file => file.label);
 if (FILE_MANIFEST) {
   try {
-    const files = JSON.parse(FILE_MANIFEST);
-    fileList = files.map(f => `- ${f}`).join('\n');
+    files = JSON.parse(FILE_MANIFEST);
   } catch {
-    fileList = FILE_MANIFEST.split(',').map(f => `- ${f.trim()}`).join('\n');
+    files = FILE_MANIFEST.split(',').map(f => f.trim()).filter(Boolean);
   }
 }
 
-const releaseDate = moment().format('YYYY-MM-DD');
-const author = RELEASE_AUTHOR || 'Unknown';
-
-// Jira comment body
+// Jira comment body from jira.comment_template
 function buildJiraComment() {
-  return (
-    `**Release:** ${RELEASE_TITLE} (${RELEASE_TAG})\n` +
-    `**Date:** ${releaseDate}\n` +
-    `**Author:** ${author}\n` +
-    `**Issue Summary:**\n${issueSummary}\n` +
-    `**Resolution:**\n${resolution}\n` +
-    (fileList ? `**Files Included:**\n${fileList}\n` : '') +
-    `**Release Link:** [View on GitHub](${RELEASE_URL})`
-  );
+  const context = ReleaseTemplate.buildContext({
+    config,
+    releaseDocument,
+    releaseTitle: RELEASE_TITLE,
+    releaseTag: RELEASE_TAG || '',
+    releaseUrl: RELEASE_URL,
+    releaseType: RELEASE_TYPE || '',
+    releaseDate: moment().format('YYYY-MM-DD'),
+    author: RELEASE_AUTHOR,
+    projectName: PROJECT_NAME || '',
+    recipients: EmailRecipients.fromEnv(CUSTOMER_RECIPIENTS, CUSTOMER_EMAILS),
+    jiraTickets: jiraKeys,
+    files
+  });
+
+  return ReleaseTemplate.fromConfig(config, 'jira.comment_template').render(context);
 }
 
 async function postJiraComment(issueKey, comment) {
@@ -77,7 +82,7 @@ async function postJiraComment(issueKey, comment) {
   try {
     const res = await axios.post(
       url,
-      { body: comment },
+      { body: MarkdownToAdf.convert(comment) }, // API v3 only accepts ADF
       {
         auth: {
           username: JIRA_USER_EMAIL,
@@ -100,9 +105,14 @@ async function transitionJiraIssue(issueKey) {
 }
 
 (async () => {
-  const comment = buildJiraComment();
-  for (const key of jiraKeys) {
-    await postJiraComment(key, comment);
-    // await transitionJiraIssue(key); // Uncomment when implemented
+  try {
+    const comment = buildJiraComment();
+    for (const key of jiraKeys) {
+      await postJiraComment(key, comment);
+      // await transitionJiraIssue(key); // Uncomment when implemented
+    }
+  } catch (err) {
+    console.error('Failed to post Jira release comment:', err.message);
+    process.exitCode = 1;
   }
 })(); 
\ No newline at end of file
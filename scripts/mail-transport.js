@@ -0,0 +1,35 @@
+const FileTransport = require('./file-transport');
+const GmailApiTransport = require('./gmail-api-transport');
+const SmtpTransport = require('./smtp-transport');
+
+// Transport types selectable with email.transport.type or MAIL_TRANSPORT
+const TRANSPORTS = {
+  gmail_api: (config, env) => GmailApiTransport.fromEnv(env),
+  smtp: (config, env) => SmtpTransport.fromConfig(config, env),
+  file: (config, env) => FileTransport.fromConfig(config, env)
+};
+
+/**
+ * Chooses the mail transport every sender goes through
+ * A transport has a name and an async send(mimeMessage) that resolves to
+ * { messageId, rfcMessageId } plus transport details such as a threadId or
+ * the .eml path
+ */
+class MailTransport {
+  /**
+   * Transport named by MAIL_TRANSPORT or email.transport.type (default gmail_api)
+   */
+  static fromConfig(config, env = process.env) {
+    const type = String(env.MAIL_TRANSPORT || config.get('email.transport.type', 'gmail_api')).trim().toLowerCase();
+    const create = TRANSPORTS[type];
+    if (!create) {
+      throw new Error(`Unknown mail transport "${type}"; use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    return create(config, env);
+  }
+}
+
+MailTransport.TYPES = Object.keys(TRANSPORTS);
+
+module.exports = MailTransport;
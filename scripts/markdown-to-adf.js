@@ -0,0 +1,205 @@
+const marked = require('marked');
+const HtmlSanitizer = require('./html-sanitizer');
+
+// Inline HTML that stands for a line break
+const LINE_BREAK_PATTERN = /^<br\s*\/?>$/i;
+
+/**
+ * Convert release markdown to Atlassian Document Format for the Jira
+ * REST API v3
+ * Uses the same marked lexer as ReleaseDocument; images become links and
+ * HTML comments are dropped
+ */
+class MarkdownToAdf {
+  constructor() {
+    this.taskCount = 0;
+  }
+
+  /**
+   * Convert markdown to an ADF document
+   */
+  static convert(markdown) {
+    return new MarkdownToAdf().convert(markdown);
+  }
+
+  convert(markdown) {
+    const content = this.convertBlocks(marked.lexer(String(markdown || '').replace(/\r\n?/g, '\n')));
+
+    return {
+      type: 'doc',
+      version: 1,
+      content: content.length > 0 ? content : [{ type: 'paragraph', content: [] }]
+    };
+  }
+
+  /**
+   * Convert block tokens, skipping blank space and HTML comments
+   */
+  convertBlocks(tokens) {
+    return tokens.flatMap(token => {
+      const node = this.convertBlock(token);
+      return node ? [node] : [];
+    });
+  }
+
+  convertBlock(token) {
+    switch (token.type) {
+      case 'heading':
+        return { type: 'heading', attrs: { level: Math.min(token.depth, 6) }, content: this.convertInline(token.tokens) };
+      case 'paragraph':
+      case 'text':
+        return this.paragraph(token.tokens || [{ type: 'text', text: token.text }]);
+      case 'list':
+        return this.convertList(token);
+      case 'code':
+        return {
+          type: 'codeBlock',
+          attrs: token.lang ? { language: token.lang } : {},
+          content: token.text ? [{ type: 'text', text: token.text }] : []
+        };
+      case 'blockquote':
+        return { type: 'blockquote', content: this.convertBlocks(token.tokens) };
+      case 'hr':
+        return { type: 'rule' };
+      case 'table':
+        return this.convertTable(token);
+      case 'html': {
+        const text = token.text.trim();
+        return !text || /^<!--[\s\S]*-->$/.test(text) ? null : this.paragraph([{ type: 'text', text }], false);
+      }
+      default:
+        return null;
+    }
+  }
+
+  paragraph(tokens, decode = true) {
+    return { type: 'paragraph', content: this.convertInline(tokens, [], decode) };
+  }
+
+  /**
+   * Bullet, ordered or task list. Task items hold inline content only:
+   * nested task lists follow their item, other nested lists become
+   * "• item" lines inside it.
+   */
+  convertList(token) {
+    if (token.items.some(item => item.task)) {
+      return {
+        type: 'taskList',
+        attrs: { localId: this.nextTaskId() },
+        content: token.items.flatMap(item => {
+          const content = [];
+          const nested = [];
+
+          for (const child of item.tokens) {
+            if (child.type === 'list' && child.items.some(entry => entry.task)) {
+              nested.push(this.convertList(child));
+            } else if (child.type === 'list') {
+              child.items.forEach(entry => content.push(
+                { type: 'hardBreak' },
+                { type: 'text', text: '• ' },
+                ...this.convertInline(entry.tokens.flatMap(part => part.tokens || []))
+              ));
+            } else if (child.type !== 'space') {
+              content.push(...this.convertInline(child.tokens || [{ type: 'text', text: child.text }]));
+            }
+          }
+
+          return [
+            { type: 'taskItem', attrs: { localId: this.nextTaskId(), state: item.checked ? 'DONE' : 'TODO' }, content },
+            ...nested
+          ];
+        })
+      };
+    }
+
+    const listItems = token.items.map(item => {
+      const blocks = this.convertBlocks(item.tokens);
+      return { type: 'listItem', content: blocks.length > 0 ? blocks : [{ type: 'paragraph', content: [] }] };
+    });
+
+    if (token.ordered) {
+      const order = Number(token.start) || 1;
+      return { type: 'orderedList', attrs: { order }, content: listItems };
+    }
+    return { type: 'bulletList', content: listItems };
+  }
+
+  convertTable(token) {
+    const row = (cells, cellType) => ({
+      type: 'tableRow',
+      content: cells.map(cell => ({
+        type: cellType,
+        attrs: {},
+        content: [this.paragraph(cell.tokens)]
+      }))
+    });
+
+    return {
+      type: 'table',
+      attrs: { isNumberColumnEnabled: false, layout: 'default' },
+      content: [row(token.header, 'tableHeader'), ...token.rows.map(cells => row(cells, 'tableCell'))]
+    };
+  }
+
+  /**
+   * Convert inline tokens to text nodes with marks; soft line breaks
+   * become hardBreak nodes so field lines stay on their own lines
+   */
+  convertInline(tokens, marks = [], decode = true) {
+    const text = value => {
+      const decoded = decode ? HtmlSanitizer.unescape(value) : value;
+      return decoded.split('\n').flatMap((line, index) => [
+        ...(index > 0 ? [{ type: 'hardBreak' }] : []),
+        ...(line ? [{ type: 'text', text: line, ...(marks.length > 0 ? { marks } : {}) }] : [])
+      ]);
+    };
+
+    return (tokens || []).flatMap(token => {
+      switch (token.type) {
+        case 'strong':
+          return this.convertInline(token.tokens, [...marks, { type: 'strong' }], decode);
+        case 'em':
+          return this.convertInline(token.tokens, [...marks, { type: 'em' }], decode);
+        case 'del':
+          return this.convertInline(token.tokens, [...marks, { type: 'strike' }], decode);
+        case 'link':
+          return this.convertInline(token.tokens, [...marks, MarkdownToAdf.link(token.href)], decode);
+        case 'image':
+          return this.convertInline(
+            [{ type: 'text', text: token.text || token.href }],
+            [...marks, MarkdownToAdf.link(token.href)],
+            decode
+          );
+        case 'codespan':
+          // The code mark only combines with links
+          return [{
+            type: 'text',
+            text: HtmlSanitizer.unescape(token.text),
+            marks: [{ type: 'code' }, ...marks.filter(mark => mark.type === 'link')]
+          }];
+        case 'br':
+          return [{ type: 'hardBreak' }];
+        case 'html':
+          if (LINE_BREAK_PATTERN.test(token.text.trim())) {
+            return [{ type: 'hardBreak' }];
+          }
+          return /^<!--[\s\S]*-->$/.test(token.text.trim()) ? [] : text(token.text);
+        case 'text':
+          return token.tokens ? this.convertInline(token.tokens, marks, decode) : text(token.text);
+        default:
+          return text(token.text || '');
+      }
+    });
+  }
+
+  static link(href) {
+    return { type: 'link', attrs: { href: HtmlSanitizer.unescape(href) } };
+  }
+
+  nextTaskId() {
+    this.taskCount += 1;
+    return `task-${this.taskCount}`;
+  }
+}
+
+module.exports = MarkdownToAdf;
@@ -0,0 +1,140 @@
+const marked = require('marked');
+const HtmlSanitizer = require('./html-sanitizer');
+
+/**
+ * Convert release markdown to structured plain text for the text/plain
+ * part of customer emails
+ * Headings are underlined, lists keep their bullets, numbers and check
+ * boxes, and links become numbered references listed at the end
+ */
+class MarkdownToText {
+  constructor() {
+    this.links = [];
+  }
+
+  /**
+   * Convert markdown to plain text, with the link references appended
+   */
+  static convert(markdown) {
+    const converter = new MarkdownToText();
+    return [converter.convertBody(markdown), converter.renderReferences()].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Convert markdown without appending the link references, so several
+   * pieces can share one numbering
+   */
+  convertBody(markdown) {
+    return this.convertBlocks(marked.lexer(String(markdown || '').replace(/\r\n?/g, '\n')));
+  }
+
+  /**
+   * "[1] https://..." lines for the links seen so far
+   */
+  renderReferences() {
+    return this.links.map((href, index) => `[${index + 1}] ${href}`).join('\n');
+  }
+
+  /**
+   * Number a link, reusing the number of a URL seen before
+   */
+  reference(href) {
+    const url = HtmlSanitizer.unescape(href);
+    if (!this.links.includes(url)) {
+      this.links.push(url);
+    }
+    return this.links.indexOf(url) + 1;
+  }
+
+  static stripTags(html) {
+    return String(html || '')
+      .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]*>/g, '');
+  }
+
+  convertBlocks(tokens) {
+    return tokens
+      .map(token => this.convertBlock(token))
+      .filter(text => text && text.trim())
+      .join('\n\n');
+  }
+
+  convertBlock(token) {
+    switch (token.type) {
+      case 'heading': {
+        const text = this.convertInline(token.tokens);
+        return token.depth <= 2 ? `${text}\n${(token.depth === 1 ? '=' : '-').repeat(text.length)}` : text;
+      }
+      case 'paragraph':
+      case 'text':
+        return token.tokens ? this.convertInline(token.tokens) : HtmlSanitizer.unescape(token.text);
+      case 'list':
+        return this.convertList(token);
+      case 'code':
+        return token.text.split('\n').map(line => `    ${line}`).join('\n');
+      case 'blockquote':
+        return this.convertBlocks(token.tokens).split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+      case 'hr':
+        return '----------';
+      case 'table':
+        return [token.header, ...token.rows]
+          .map(cells => cells.map(cell => this.convertInline(cell.tokens)).join(' | '))
+          .join('\n');
+      case 'html':
+        return HtmlSanitizer.unescape(MarkdownToText.stripTags(token.text)).trim();
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * "- item", "1. item" or "- [x] item", with nested content indented
+   * under the item text
+   */
+  convertList(token) {
+    const start = Number(token.start) || 1;
+
+    return token.items.map((item, index) => {
+      const bullet = token.ordered ? `${start + index}.` : '-';
+      const marker = item.task ? `${bullet} [${item.checked ? 'x' : ' '}]` : bullet;
+      const content = item.tokens
+        .map(child => (child.type === 'list' ? this.convertList(child) : this.convertBlock(child)))
+        .filter(text => text && text.trim())
+        .join('\n');
+      const indent = ' '.repeat(marker.length + 1);
+
+      return `${marker} ${content.split('\n').join(`\n${indent}`)}`.replace(/[ ]+$/gm, '');
+    }).join('\n');
+  }
+
+  convertInline(tokens) {
+    return (tokens || []).map(token => {
+      switch (token.type) {
+        case 'strong':
+        case 'em':
+        case 'del':
+          return this.convertInline(token.tokens);
+        case 'link': {
+          const text = this.convertInline(token.tokens);
+          const href = HtmlSanitizer.unescape(token.href);
+          return text === href || `mailto:${text}` === href ? text : `${text} [${this.reference(token.href)}]`;
+        }
+        case 'image':
+          return `${HtmlSanitizer.unescape(token.text) || 'Image'} [${this.reference(token.href)}]`;
+        case 'codespan':
+          return HtmlSanitizer.unescape(token.text);
+        case 'br':
+          return '\n';
+        case 'html':
+          return HtmlSanitizer.unescape(MarkdownToText.stripTags(token.text));
+        case 'text':
+          return token.tokens ? this.convertInline(token.tokens) : HtmlSanitizer.unescape(token.text);
+        default:
+          return HtmlSanitizer.unescape(token.text || '');
+      }
+    }).join('');
+  }
+}
+
+module.exports = MarkdownToText;
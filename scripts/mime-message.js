@@ -0,0 +1,74 @@
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Standards-compliant RFC 5322 messages for the mail transports
+ * Built on nodemailer's MIME composer: headers are RFC 2047 encoded, a text
+ * and HTML body become multipart/alternative, attachments with a cid
+ * become multipart/related inline images and other attachments
+ * multipart/mixed
+ */
+class MimeMessage {
+  /**
+   * fields: { from, to, cc, bcc, replyTo, subject, text, html, attachments,
+   * messageId, date, headers }. Attachments take { filename, content, path,
+   * contentType, cid }; a cid makes the attachment an inline image.
+   */
+  constructor(fields = {}) {
+    this.fields = fields;
+    this.messageId = fields.messageId || MimeMessage.createMessageId(fields.from);
+    this.date = fields.date || new Date();
+  }
+
+  /**
+   * Unique Message-ID in the sender's domain
+   */
+  static createMessageId(from) {
+    const address = String(from || '').match(/@([^\s>]+)/);
+    return `<${uuidv4()}@${address ? address[1] : 'localhost'}>`;
+  }
+
+  /**
+   * Drop empty address lists so no blank headers are written
+   */
+  static addresses(value) {
+    const list = [].concat(value || []).filter(Boolean);
+    return list.length > 0 ? list : undefined;
+  }
+
+  /**
+   * Compose the message as a Buffer. The Bcc header is kept because the
+   * Gmail API reads recipients from it and removes it before delivery;
+   * SMTP transports pass keepBcc: false.
+   */
+  async build({ keepBcc = true } = {}) {
+    const { from, to, cc, bcc, replyTo, subject, text, html, attachments, headers } = this.fields;
+
+    const message = new MailComposer({
+      from,
+      to: MimeMessage.addresses(to),
+      cc: MimeMessage.addresses(cc),
+      bcc: MimeMessage.addresses(bcc),
+      replyTo: replyTo || undefined,
+      subject: subject || '',
+      text,
+      html,
+      attachments: attachments || [],
+      messageId: this.messageId,
+      date: this.date,
+      headers
+    }).compile();
+    message.keepBcc = keepBcc;
+
+    return message.build();
+  }
+
+  /**
+   * URL-safe base64 of the message, as the Gmail API expects in "raw"
+   */
+  async toGmailRaw() {
+    return (await this.build()).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+}
+
+module.exports = MimeMessage;
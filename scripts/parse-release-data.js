@@ -2,66 +2,201 @@
 
 const core = require('@actions/core');
 const yaml = require('js-yaml');
+const CustomerDirectory = require('./customer-directory');
+const EmailRecipients = require('./email-recipients');
+const ReleaseConfig = require('./release-config');
+const ReleaseDocument = require('./release-document');
+const ReleaseVersion = require('./release-version');
 
 /**
  * Parse release data from GitHub release body
  * Extracts customer emails, Jira tickets, release type, and other structured data
  */
 class ReleaseDataParser {
-  constructor() {
-    this.releaseTitle = process.env.RELEASE_TITLE || '';
-    this.releaseBody = process.env.RELEASE_BODY || '';
-    this.releaseTag = process.env.RELEASE_TAG || '';
-    this.releaseUrl = process.env.RELEASE_URL || '';
-    this.releaseId = process.env.RELEASE_ID || '';
+  /**
+   * Inputs default to the environment set by the workflow; options override
+   * them for local use (see release-lint.js)
+   */
+  constructor(options = {}) {
+    const settings = {
+      releaseTitle: process.env.RELEASE_TITLE || '',
+      releaseBody: process.env.RELEASE_BODY || '',
+      releaseTag: process.env.RELEASE_TAG || '',
+      releaseUrl: process.env.RELEASE_URL || '',
+      releaseId: process.env.RELEASE_ID || '',
+      repository: process.env.GITHUB_REPOSITORY || '',
+      previousTag: process.env.PREVIOUS_TAG,
+      ...options
+    };
+
+    this.releaseTitle = settings.releaseTitle;
+    this.releaseBody = settings.releaseBody;
+    this.releaseTag = settings.releaseTag;
+    this.releaseUrl = settings.releaseUrl;
+    this.releaseId = settings.releaseId;
+    this.repository = settings.repository;
+    this.previousTag = settings.previousTag;
+    this.config = settings.config || ReleaseConfig.load();
+    this.customerDirectory = settings.customerDirectory || CustomerDirectory.load();
   }
 
   /**
-   * Extract customer emails from release body
-   * Looks for patterns like "Customer Email(s): email1@domain.com, email2@domain.com"
+   * Parsed release document for the current body
    */
-  extractCustomerEmails() {
-    const emailPatterns = [
-      /Customer Email\(s\):\s*([^\n]+)/i,
-      /Customer Emails:\s*([^\n]+)/i,
-      /Emails:\s*([^\n]+)/i,
-      /To:\s*([^\n]+)/i
+  getDocument() {
+    if (!this.document || this.document.source !== this.releaseBody) {
+      this.document = new ReleaseDocument(this.releaseBody);
+    }
+    return this.document;
+  }
+
+  /**
+   * Read a value from the YAML front matter block, if the body has one
+   */
+  getFrontMatterValue(key) {
+    return this.getDocument().getFrontMatterValue(key);
+  }
+
+  /**
+   * Normalize a front matter value that may be a YAML list or a
+   * comma/space separated string
+   */
+  toList(value) {
+    if (Array.isArray(value)) {
+      return value.map(entry => String(entry).trim()).filter(Boolean);
+    }
+
+    return String(value)
+      .split(/[,\s]+/)
+      .map(entry => entry.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Extract customer recipients with their To/CC/BCC role
+   * Prefers the front matter "customers", "cc" and "bcc" lists, then looks for
+   * fields like "Customer Email(s): Jane Doe <jane@acme.com>, ops@acme.com"
+   * and "Customer CC:" / "Customer BCC:". Customer groups from customers.yml
+   * are expanded into their contacts.
+   */
+  extractCustomerRecipients() {
+    const recipients = [
+      ...this.extractRecipients('customers', ['Customer Email(s)', 'Customer Emails', 'Emails', 'To'], 'to'),
+      ...this.extractRecipients('cc', ['Customer CC'], 'cc'),
+      ...this.extractRecipients('bcc', ['Customer BCC'], 'bcc'),
+      ...this.extractCustomerGroups().flatMap(key => this.customerDirectory.expand(key))
+        .filter(recipient => this.isValidEmail(recipient.email))
+    ];
+
+    // Drop repeats, e.g. a contact listed directly and through its group;
+    // addresses compare case-insensitively and the first spelling wins
+    const emailKey = recipient => recipient.email.toLowerCase();
+    return recipients.filter((recipient, index) =>
+      recipients.findIndex(other => emailKey(other) === emailKey(recipient)) === index
+    );
+  }
+
+  /**
+   * Extract customer group keys (e.g. "Customers: acme, globex")
+   * Front matter "customers" entries without an @ are treated as group keys
+   */
+  extractCustomerGroups() {
+    const declared = this.getFrontMatterValue('customers');
+    const fieldValue = this.getDocument().getField('Customers');
+    const entries = [
+      ...(declared !== undefined && declared !== null
+        ? (Array.isArray(declared) ? declared : [declared]).filter(entry => typeof entry !== 'object')
+        : []),
+      ...(/^\[.*\]$/.test(fieldValue) ? [] : [fieldValue]) // Ignore the "[acme, globex]" placeholder
     ];
 
-    for (const pattern of emailPatterns) {
-      const match = this.releaseBody.match(pattern);
-      if (match) {
-        const emails = match[1]
-          .split(/[,\s]+/)
-          .map(email => email.trim())
-          .filter(email => this.isValidEmail(email));
+    const keys = entries
+      .flatMap(entry => String(entry).split(/[,\s]+/))
+      .map(key => CustomerDirectory.normalizeKey(key))
+      .filter(key => key && !key.includes('@'));
+
+    return Array.from(new Set(keys));
+  }
+
+  /**
+   * Extract the valid recipients for one role
+   */
+  extractRecipients(frontMatterKey, labels, role) {
+    const declared = this.getFrontMatterValue(frontMatterKey);
+    if (declared !== undefined && declared !== null) {
+      return this.parseRecipientList(declared, role)
+        .filter(recipient => this.isValidEmail(recipient.email));
+    }
+
+    const releaseDocument = this.getDocument();
+    for (const label of labels) {
+      const value = releaseDocument.getField(label);
+      if (value) {
+        const recipients = EmailRecipients.parse(value, role)
+          .filter(recipient => this.isValidEmail(recipient.email));
         
-        if (emails.length > 0) {
-          return emails.join(',');
+        if (recipients.length > 0) {
+          return recipients;
         }
       }
     }
 
-    return '';
+    return [];
+  }
+
+  /**
+   * Parse a front matter recipient list; entries may be address strings or
+   * { name, email } mappings
+   */
+  parseRecipientList(value, role) {
+    const entries = Array.isArray(value) ? value : [value];
+
+    return entries.flatMap(entry => {
+      if (entry && typeof entry === 'object') {
+        return [{ name: String(entry.name || '').trim(), email: String(entry.email || '').trim(), role }];
+      }
+      return EmailRecipients.parse(String(entry), role);
+    });
+  }
+
+  /**
+   * Extract customer (To) email addresses from release body as a comma-separated list
+   */
+  extractCustomerEmails() {
+    return EmailRecipients.byRole(this.extractCustomerRecipients(), 'to')
+      .map(recipient => recipient.email)
+      .join(',');
   }
 
   /**
    * Extract Jira ticket references from release body
-   * Looks for patterns like "Jira Tickets: PDE-123 PDE-456" or "Related Work: PDE-123"
+   * Prefers the front matter "jira" list, then looks for patterns like
+   * "Jira Tickets: PDE-123 PDE-456" or "Related Work: PDE-123"
    */
   extractJiraTickets() {
-    const ticketPatterns = [
-      /Jira Tickets?:\s*([^\n]+)/i,
-      /Related Jira Tickets?:\s*([^\n]+)/i,
-      /Related Work:\s*([^\n]+)/i,
-      /Tickets?:\s*([^\n]+)/i
+    const jira = this.getFrontMatterValue('jira');
+    if (jira !== undefined && jira !== null) {
+      return this.toList(jira)
+        .filter(ticket => this.isValidJiraTicket(ticket))
+        .join(' ');
+    }
+
+    const ticketLabels = [
+      'Jira Tickets',
+      'Jira Ticket',
+      'Related Jira Tickets',
+      'Related Jira Ticket',
+      'Related Work',
+      'Tickets',
+      'Ticket'
     ];
+    const releaseDocument = this.getDocument();
 
-    for (const pattern of ticketPatterns) {
-      const match = this.releaseBody.match(pattern);
-      if (match) {
-        const tickets = match[1]
-          .split(/\s+/)
+    for (const label of ticketLabels) {
+      const value = releaseDocument.getField(label);
+      if (value) {
+        const tickets = value
+          .split(/[\s,[\]]+/)
           .map(ticket => ticket.trim())
           .filter(ticket => this.isValidJiraTicket(ticket));
         
@@ -72,88 +207,163 @@ class ReleaseDataParser {
     }
 
     // Also look for inline ticket references in the body
-    const inlineTicketPattern = /(PDE-\d+)/g;
-    const inlineTickets = [...this.releaseBody.matchAll(inlineTicketPattern)]
-      .map(match => match[1])
-      .filter((ticket, index, arr) => arr.indexOf(ticket) === index); // Remove duplicates
-
-    return inlineTickets.join(' ');
+    return this.config.findJiraTickets(this.releaseBody, this.extractProjectName()).join(' ');
   }
 
   /**
-   * Determine release type based on title and content
+   * Determine release type: a single declared type (front matter "type" or
+   * the "Release Type:" field) wins, otherwise it is inferred from keywords
+   * and the semver tag
    */
   determineReleaseType() {
-    const title = this.releaseTitle.toLowerCase();
-    const body = this.releaseBody.toLowerCase();
-
-    if (title.includes('major') || body.includes('major release')) {
-      return 'major';
-    } else if (title.includes('minor') || body.includes('minor update')) {
-      return 'minor';
-    } else if (title.includes('bug') || title.includes('fix') || body.includes('bug fix')) {
-      return 'bugfix';
-    } else if (title.includes('doc') || title.includes('documentation') || body.includes('documentation')) {
-      return 'documentation';
-    } else {
-      return 'update';
+    const declaredType = this.extractDeclaredReleaseType();
+    if (declaredType) {
+      // Unknown declared types pass through so validation can reject them
+      return declaredType;
     }
+
+    const detectedType = this.config.detectReleaseType(this.releaseTitle, this.releaseBody);
+    return this.config.reconcileReleaseType(detectedType, this.extractVersionBump());
   }
 
   /**
-   * Extract business impact section
+   * Whether the release type was 'declared' in the body or 'inferred'
    */
-  extractBusinessImpact() {
-    const patterns = [
-      /## Business Impact\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /Business Impact:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /What's New:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i
-    ];
+  extractReleaseTypeSource() {
+    return this.extractDeclaredReleaseType() ? 'declared' : 'inferred';
+  }
 
-    for (const pattern of patterns) {
-      const match = this.releaseBody.match(pattern);
-      if (match) {
-        return match[1].trim();
-      }
+  /**
+   * Type named by front matter "type" or the "Release Type:" field, mapped
+   * onto a configured type key. Returns '' when no single type is declared;
+   * validation reports placeholders and lists of several types.
+   */
+  extractDeclaredReleaseType() {
+    const frontMatterType = this.getFrontMatterValue('type');
+    const declared = this.config.parseDeclaredReleaseType(
+      frontMatterType !== undefined && frontMatterType !== null
+        ? frontMatterType
+        : this.getDocument().getField('Release Type')
+    );
+
+    return declared.types.length === 1 ? declared.types[0] : '';
+  }
+
+  /**
+   * Previous semver release tag in the local git history (PREVIOUS_TAG overrides)
+   */
+  extractPreviousTag() {
+    if (this.previousTag === undefined) {
+      this.previousTag = ReleaseVersion.parse(this.releaseTag)
+        ? ReleaseVersion.findPreviousTag(this.releaseTag)
+        : '';
+    }
+    return this.previousTag;
+  }
+
+  /**
+   * Version bump from the previous tag: 'major', 'minor', 'patch', 'none',
+   * 'backwards', or '' when either tag is not a semver release
+   */
+  extractVersionBump() {
+    const current = ReleaseVersion.parse(this.releaseTag);
+    const previous = ReleaseVersion.parse(this.extractPreviousTag());
+    if (!current || current.prerelease || !previous) {
+      return '';
     }
 
-    return '';
+    return ReleaseVersion.bump(previous, current);
+  }
+
+  /**
+   * Downstream behavior of the detected release type
+   */
+  getReleaseTypeSettings() {
+    return this.config.getReleaseType(this.determineReleaseType()) || this.config.getDefaultReleaseType();
+  }
+
+  /**
+   * Extract business impact section
+   */
+  extractBusinessImpact() {
+    return this.getDocument().getSectionMarkdown('business_impact');
   }
 
   /**
    * Extract technical changes section
    */
   extractTechnicalChanges() {
-    const patterns = [
-      /## Technical Changes\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /Technical Changes:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /Changes Made:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i
-    ];
+    return this.getDocument().getSectionMarkdown('technical_changes');
+  }
 
-    for (const pattern of patterns) {
-      const match = this.releaseBody.match(pattern);
-      if (match) {
-        return match[1].trim();
-      }
+  /**
+   * Determine the project config key
+   * Uses the front matter "project" or the "Project:" field, falling back to
+   * the repository name, and maps it onto a release_config.yml project key
+   */
+  extractProjectName() {
+    const fieldValue = this.getDocument().getField('Project');
+    const declared = this.getFrontMatterValue('project') ||
+      (/^\[.*\]$/.test(fieldValue) ? '' : fieldValue); // Ignore the "[Project name]" placeholder
+
+    if (declared) {
+      return this.config.resolveProjectKey(declared) || ReleaseConfig.normalizeProjectKey(declared);
     }
 
-    return '';
+    const repositoryName = this.repository.split('/').pop();
+    return this.config.resolveProjectKey(repositoryName) || ReleaseConfig.normalizeProjectKey(repositoryName);
   }
 
   /**
-   * Check if release has file attachments
+   * Extract the planned release date (YYYY-MM-DD)
    */
-  hasFileAttachments() {
-    const filePatterns = [
-      /\[[ x]\] Updated drawings \(PDF\)/i,
-      /\[[ x]\] 3D models \(STEP\/SolidWorks\)/i,
-      /\[[ x]\] Documentation updates/i,
-      /\[[ x]\] Test results/i,
-      /Files Included:/i,
-      /Attachments:/i
-    ];
+  extractReleaseDate() {
+    const releaseDate = this.getFrontMatterValue('release_date');
+    if (releaseDate instanceof Date) {
+      return releaseDate.toISOString().split('T')[0];
+    }
+    if (releaseDate) {
+      return String(releaseDate).trim();
+    }
+
+    const field = this.getDocument().getField('Release Date');
+    return /^\d{4}-\d{2}-\d{2}$/.test(field) ? field : '';
+  }
+
+  /**
+   * Determine whether the Product Owner should be notified
+   * Returns 'true', 'false', or '' when the release does not say
+   */
+  extractNotifyPo() {
+    const notifyPo = this.getFrontMatterValue('notify_po');
+    if (typeof notifyPo === 'boolean') {
+      return notifyPo ? 'true' : 'false';
+    }
+
+    const value = notifyPo !== undefined && notifyPo !== null
+      ? String(notifyPo)
+      : this.getDocument().getField(['Notify PO', 'PO Notification']);
+    const match = value.match(/^\[?\s*(yes|no|true|false)\s*\]?$/i);
+    if (!match) {
+      // Unset: the PO is notified unless the release type opts out
+      return this.getReleaseTypeSettings().notifyPo ? '' : 'false';
+    }
 
-    return filePatterns.some(pattern => this.releaseBody.match(pattern));
+    return ['yes', 'true'].includes(match[1].toLowerCase()) ? 'true' : 'false';
+  }
+
+  /**
+   * Labels of the checked "Files Included" items
+   */
+  extractIncludedFiles() {
+    return this.getDocument().getIncludedFiles().map(file => file.label);
+  }
+
+  /**
+   * Check if release has file attachments (any checked "Files Included" item)
+   */
+  hasFileAttachments() {
+    return this.extractIncludedFiles().length > 0;
   }
 
   /**
@@ -165,11 +375,42 @@ class ReleaseDataParser {
   }
 
   /**
-   * Validate Jira ticket format (PDE-123)
+   * Validate Jira ticket format and project key against release_config.yml
    */
   isValidJiraTicket(ticket) {
-    const ticketRegex = /^PDE-\d+$/;
-    return ticketRegex.test(ticket);
+    return this.config.isValidJiraTicket(ticket, this.extractProjectName());
+  }
+
+  /**
+   * Extract every release field without touching GitHub Actions outputs
+   */
+  extract() {
+    const customerRecipients = this.extractCustomerRecipients();
+    const includedFiles = this.extractIncludedFiles();
+
+    return {
+      customerEmails: EmailRecipients.byRole(customerRecipients, 'to')
+        .map(recipient => recipient.email)
+        .join(','),
+      customerRecipients,
+      customerGroups: this.extractCustomerGroups(),
+      jiraTickets: this.extractJiraTickets(),
+      releaseType: this.determineReleaseType(),
+      releaseTypeSource: this.extractReleaseTypeSource(),
+      declaredReleaseType: this.extractDeclaredReleaseType(),
+      previousTag: this.extractPreviousTag(),
+      versionBump: this.extractVersionBump(),
+      releaseTypeLabel: this.config.getReleaseTypeLabel(this.determineReleaseType()),
+      notifyCustomers: this.getReleaseTypeSettings().notifyCustomers,
+      updateJira: this.getReleaseTypeSettings().updateJira,
+      businessImpact: this.extractBusinessImpact(),
+      technicalChanges: this.extractTechnicalChanges(),
+      hasFiles: includedFiles.length > 0,
+      includedFiles,
+      projectName: this.extractProjectName(),
+      releaseDate: this.extractReleaseDate(),
+      notifyPo: this.extractNotifyPo()
+    };
   }
 
   /**
@@ -177,40 +418,67 @@ class ReleaseDataParser {
    */
   parse() {
     try {
-      const customerEmails = this.extractCustomerEmails();
-      const jiraTickets = this.extractJiraTickets();
-      const releaseType = this.determineReleaseType();
-      const businessImpact = this.extractBusinessImpact();
-      const technicalChanges = this.extractTechnicalChanges();
-      const hasFiles = this.hasFileAttachments();
+      const data = this.extract();
+      const {
+        customerEmails,
+        customerRecipients,
+        customerGroups,
+        jiraTickets,
+        releaseType,
+        releaseTypeSource,
+        declaredReleaseType,
+        previousTag,
+        versionBump,
+        releaseTypeLabel,
+        notifyCustomers,
+        updateJira,
+        businessImpact,
+        technicalChanges,
+        hasFiles,
+        includedFiles,
+        projectName,
+        releaseDate,
+        notifyPo
+      } = data;
 
       // Set GitHub Actions outputs
       core.setOutput('customer_emails', customerEmails);
+      core.setOutput('customer_recipients', JSON.stringify(customerRecipients));
+      core.setOutput('customer_groups', customerGroups.join(','));
       core.setOutput('jira_tickets', jiraTickets);
       core.setOutput('release_type', releaseType);
+      core.setOutput('release_type_label', releaseTypeLabel);
+      core.setOutput('release_type_source', releaseTypeSource);
+      core.setOutput('declared_release_type', declaredReleaseType);
+      core.setOutput('previous_tag', previousTag);
+      core.setOutput('version_bump', versionBump);
+      core.setOutput('notify_customers', notifyCustomers ? 'true' : 'false');
+      core.setOutput('update_jira', updateJira ? 'true' : 'false');
       core.setOutput('business_impact', businessImpact);
       core.setOutput('technical_changes', technicalChanges);
       core.setOutput('has_files', hasFiles ? 'true' : 'false');
+      core.setOutput('file_manifest', JSON.stringify(includedFiles));
+      core.setOutput('project_name', projectName);
+      core.setOutput('release_date', releaseDate);
+      core.setOutput('notify_po', notifyPo);
 
       // Log parsed data
       console.log('📋 Parsed Release Data:');
       console.log(`  Title: ${this.releaseTitle}`);
       console.log(`  Tag: ${this.releaseTag}`);
-      console.log(`  Type: ${releaseType}`);
+      console.log(`  Type: ${releaseType} (${releaseTypeLabel}, ${releaseTypeSource})`);
+      console.log(`  Version: ${previousTag ? `${previousTag} -> ${this.releaseTag} (${versionBump})` : 'No previous semver tag'}`);
+      console.log(`  Project: ${projectName || 'None'}`);
       console.log(`  Customer Emails: ${customerEmails || 'None'}`);
+      console.log(`  Customer Groups: ${customerGroups.join(', ') || 'None'}`);
+      console.log(`  Customer CC/BCC: ${customerRecipients.filter(recipient => recipient.role !== 'to').length}`);
       console.log(`  Jira Tickets: ${jiraTickets || 'None'}`);
-      console.log(`  Has Files: ${hasFiles ? 'Yes' : 'No'}`);
+      console.log(`  Has Files: ${hasFiles ? includedFiles.join(', ') : 'No'}`);
+      console.log(`  Front Matter: ${this.getDocument().frontMatter ? 'Found' : 'Not found'}`);
       console.log(`  Business Impact: ${businessImpact ? 'Found' : 'Not found'}`);
       console.log(`  Technical Changes: ${technicalChanges ? 'Found' : 'Not found'}`);
 
-      return {
-        customerEmails,
-        jiraTickets,
-        releaseType,
-        businessImpact,
-        technicalChanges,
-        hasFiles
-      };
+      return data;
 
     } catch (error) {
       core.setFailed(`Failed to parse release data: ${error.message}`);
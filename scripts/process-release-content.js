@@ -3,6 +3,16 @@
 const core = require('@actions/core');
 const marked = require('marked');
 const cheerio = require('cheerio');
+const HtmlSanitizer = require('./html-sanitizer');
+const InternalContent = require('./internal-content');
+const ReleaseConfig = require('./release-config');
+const EmailRecipients = require('./email-recipients');
+const MarkdownToText = require('./markdown-to-text');
+const ReleaseDocument = require('./release-document');
+const ReleaseTemplate = require('./release-template');
+
+// Customer action priorities in display order
+const ACTION_PRIORITY_LABELS = ReleaseTemplate.ACTION_PRIORITY_LABELS;
 
 /**
  * Process release content for email and Jira integration
@@ -13,10 +23,44 @@ class ContentProcessor {
     this.releaseBody = process.env.RELEASE_BODY || '';
     this.releaseTitle = process.env.RELEASE_TITLE || '';
     this.releaseType = process.env.RELEASE_TYPE || '';
+    this.config = ReleaseConfig.load();
+    this.internalContent = InternalContent.fromConfig(this.config);
+  }
+
+  /**
+   * Parsed release document for the current body
+   */
+  getDocument() {
+    if (!this.document || this.document.source !== this.releaseBody) {
+      this.document = new ReleaseDocument(this.releaseBody);
+    }
+    return this.document;
+  }
+
+  /**
+   * Release document with internal-only sections and blocks removed, used
+   * for everything customers see
+   */
+  getCustomerDocument() {
+    if (!this.customerDocument || this.customerDocument.releaseBody !== this.releaseBody) {
+      const { markdown, redactions } = this.internalContent.redact(this.releaseBody);
+      this.customerDocument = { releaseBody: this.releaseBody, document: new ReleaseDocument(markdown), redactions };
+    }
+    return this.customerDocument.document;
+  }
+
+  /**
+   * Internal content withheld from customers
+   */
+  getRedactions() {
+    this.getCustomerDocument();
+    return this.customerDocument.redactions;
   }
 
   /**
-   * Convert markdown to HTML with custom styling
+   * Convert markdown to sanitized HTML with custom styling
+   * Release bodies are written by any collaborator, so the rendered HTML is
+   * reduced to HtmlSanitizer's allowlist before it reaches customers
    */
   convertMarkdownToHtml(markdown) {
     // Configure marked options for better HTML output
@@ -26,123 +70,144 @@ class ContentProcessor {
       headerIds: false
     });
 
-    // Convert markdown to HTML
-    let html = marked.parse(markdown);
+    // Convert markdown to HTML and strip anything outside the allowlist
+    const html = HtmlSanitizer.sanitize(marked.parse(markdown || ''));
 
-    // Load HTML into cheerio for manipulation
-    const $ = cheerio.load(html);
+    // Load the fragment into cheerio for manipulation
+    const $ = cheerio.load(html, null, false);
 
     // Add custom styling to elements
     $('h1, h2, h3, h4, h5, h6').addClass('section-header');
     $('p').addClass('paragraph');
     $('ul, ol').addClass('list');
     $('li').addClass('list-item');
-    $('code').addClass('inline-code');
-    $('pre').addClass('code-block');
     $('blockquote').addClass('quote');
 
-    // Convert inline code blocks to styled spans
-    $('code').each((index, element) => {
+    // Convert code blocks to styled pre elements; text() keeps the code
+    // escaped
+    $('pre').each((index, element) => {
       const text = $(element).text();
-      $(element).replaceWith(`<span class="inline-code">${text}</span>`);
+      $(element).replaceWith($('<pre class="code-block"><code></code></pre>').find('code').text(text).end());
     });
 
-    // Convert code blocks to styled pre elements
-    $('pre').each((index, element) => {
-      const code = $(element).find('code');
-      if (code.length > 0) {
-        const text = code.text();
-        $(element).replaceWith(`<pre class="code-block"><code>${text}</code></pre>`);
-      }
+    // Convert inline code to styled spans
+    $('code').not('pre > code').each((index, element) => {
+      $(element).replaceWith($('<span class="inline-code"></span>').text($(element).text()));
     });
 
     return $.html();
   }
 
   /**
-   * Generate email subject line based on release type and title
+   * Placeholder values for the config templates; customer-facing
+   * templates get the redacted document
+   */
+  buildTemplateContext(releaseDocument = this.getCustomerDocument()) {
+    return ReleaseTemplate.buildContext({
+      config: this.config,
+      releaseDocument,
+      releaseTitle: this.releaseTitle,
+      releaseTag: process.env.RELEASE_TAG || '',
+      releaseUrl: process.env.RELEASE_URL || '',
+      releaseType: this.releaseType,
+      author: process.env.RELEASE_AUTHOR || '',
+      projectName: process.env.PROJECT_NAME || '',
+      recipients: EmailRecipients.fromEnv(process.env.CUSTOMER_RECIPIENTS, process.env.CUSTOMER_EMAILS),
+      jiraTickets: process.env.JIRA_TICKETS ||
+        this.config.findJiraTickets(this.releaseBody, process.env.PROJECT_NAME)
+    });
+  }
+
+  /**
+   * Generate email subject line from email.customer_subject_template
    */
   generateEmailSubject() {
-    const typeLabels = {
-      'major': '🚀 Major Release',
-      'minor': '📦 Minor Update', 
-      'bugfix': '🐛 Bug Fix',
-      'documentation': '📚 Documentation Update',
-      'update': '📋 Update'
-    };
-
-    const typeLabel = typeLabels[this.releaseType] || '📋 Update';
-    const shortTitle = this.releaseTitle.length > 50 
-      ? this.releaseTitle.substring(0, 47) + '...'
-      : this.releaseTitle;
-
-    return `${typeLabel}: ${shortTitle}`;
+    return ReleaseTemplate.fromConfig(this.config, 'email.customer_subject_template')
+      .render(this.buildTemplateContext());
   }
 
   /**
    * Extract and format business impact for email
+   * Pass the full document to keep internal content (e.g. for Jira)
    */
-  extractBusinessImpactForEmail() {
-    const patterns = [
-      /## Business Impact\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /Business Impact:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /What's New:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i
-    ];
-
-    for (const pattern of patterns) {
-      const match = this.releaseBody.match(pattern);
-      if (match) {
-        return this.convertMarkdownToHtml(match[1].trim());
-      }
-    }
-
-    return '';
+  extractBusinessImpactForEmail(releaseDocument = this.getCustomerDocument()) {
+    const markdown = releaseDocument.getSectionMarkdown('business_impact');
+    return markdown ? this.convertMarkdownToHtml(markdown) : '';
   }
 
   /**
    * Extract and format technical changes for email
    */
-  extractTechnicalChangesForEmail() {
-    const patterns = [
-      /## Technical Changes\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /Technical Changes:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i,
-      /Changes Made:\s*\n([\s\S]*?)(?=\n##|\n###|\n\n\n|$)/i
-    ];
+  extractTechnicalChangesForEmail(releaseDocument = this.getCustomerDocument()) {
+    const markdown = releaseDocument.getSectionMarkdown('technical_changes');
+    return markdown ? this.convertMarkdownToHtml(markdown) : '';
+  }
 
-    for (const pattern of patterns) {
-      const match = this.releaseBody.match(pattern);
-      if (match) {
-        return this.convertMarkdownToHtml(match[1].trim());
-      }
+  /**
+   * Generate file list for email from the checked "Files Included" items
+   */
+  generateFileList() {
+    const files = this.getCustomerDocument().getIncludedFiles().map(file => file.label);
+
+    if (files.length === 0) {
+      return '<p>No specific files included in this release.</p>';
     }
 
-    return '';
+    const fileList = files.map(file => `<li>${HtmlSanitizer.escape(file)}</li>`).join('');
+    return `<ul class="file-list">${fileList}</ul>`;
   }
 
   /**
-   * Generate file list for email
+   * Structured customer actions as [{ text, priority, line }]
    */
-  generateFileList() {
-    const filePatterns = [
-      { pattern: /\[[ x]\] Updated drawings \(PDF\)/i, label: 'Updated drawings (PDF)' },
-      { pattern: /\[[ x]\] 3D models \(STEP\/SolidWorks\)/i, label: '3D models (STEP/SolidWorks)' },
-      { pattern: /\[[ x]\] Documentation updates/i, label: 'Documentation updates' },
-      { pattern: /\[[ x]\] Test results/i, label: 'Test results' }
-    ];
+  extractCustomerActions(releaseDocument = this.getCustomerDocument()) {
+    return releaseDocument.getCustomerActions();
+  }
 
-    const files = [];
-    for (const filePattern of filePatterns) {
-      if (this.releaseBody.match(filePattern.pattern)) {
-        files.push(filePattern.label);
-      }
+  /**
+   * Introductory text of the "Customer Actions Required" section, without
+   * the template placeholder
+   */
+  extractCustomerActionsSummary(releaseDocument = this.getCustomerDocument()) {
+    const section = releaseDocument.getSection('customer_actions');
+    if (!section) {
+      return '';
     }
 
-    if (files.length === 0) {
-      return '<p>No specific files included in this release.</p>';
+    return section.body
+      .filter(token => token.type === 'paragraph' && !/^\[[\s\S]*\]$/.test(token.text.trim()))
+      .map(token => token.text.trim())
+      .join('\n\n');
+  }
+
+  /**
+   * Generate the customer actions block, grouped by priority
+   */
+  generateCustomerActionsBlock() {
+    const actions = this.extractCustomerActions();
+    if (actions.length === 0) {
+      return '';
     }
 
-    const fileList = files.map(file => `<li>${file}</li>`).join('');
-    return `<ul class="file-list">${fileList}</ul>`;
+    const summary = this.extractCustomerActionsSummary();
+
+    const groups = Object.keys(ACTION_PRIORITY_LABELS)
+      .map(priority => ({ priority, items: actions.filter(action => action.priority === priority) }))
+      .filter(group => group.items.length > 0)
+      .map(group => `
+            <h3 class="customer-actions-priority">${ACTION_PRIORITY_LABELS[group.priority]}</h3>
+            <ul class="list">${group.items.map(action => `<li class="list-item">${HtmlSanitizer.escape(action.text)}</li>`).join('')}</ul>`)
+      .join('');
+
+    return `
+      <div class="section customer-actions">
+        <h2 class="section-header">Action Required</h2>
+        <div class="content">
+          ${summary ? this.convertMarkdownToHtml(summary) : ''}
+          ${groups}
+        </div>
+      </div>
+    `;
   }
 
   /**
@@ -152,19 +217,22 @@ class ContentProcessor {
     const businessImpact = this.extractBusinessImpactForEmail();
     const technicalChanges = this.extractTechnicalChangesForEmail();
     const fileList = this.generateFileList();
-    const releaseUrl = process.env.RELEASE_URL || '';
-    const releaseTag = process.env.RELEASE_TAG || '';
+    const releaseUrl = HtmlSanitizer.escape(HtmlSanitizer.safeUrl(process.env.RELEASE_URL));
+    const releaseTitle = HtmlSanitizer.escape(this.releaseTitle);
 
     // Create customer-friendly email content
     let emailBody = `
       <div class="section">
-        <h1 class="section-header">${this.releaseTitle}</h1>
+        <h1 class="section-header">${releaseTitle}</h1>
         <div class="content">
-          <p>We're pleased to announce the release of ${this.releaseTitle}.</p>
+          <p>We're pleased to announce the release of ${releaseTitle}.</p>
         </div>
       </div>
     `;
 
+    // Actions come first so customers see what we need from them
+    emailBody += this.generateCustomerActionsBlock();
+
     if (businessImpact) {
       emailBody += `
         <div class="section">
@@ -208,54 +276,67 @@ class ContentProcessor {
   }
 
   /**
-   * Generate Jira comment content
+   * Generate the plain-text version of the customer email from the parsed
+   * markdown, with the same sections as the HTML body. Links in every
+   * section share one numbered reference list at the end.
    */
-  generateJiraComment() {
-    const businessImpact = this.extractBusinessImpactForEmail();
-    const technicalChanges = this.extractTechnicalChangesForEmail();
-    const releaseUrl = process.env.RELEASE_URL || '';
-    const customerEmails = process.env.CUSTOMER_EMAILS || '';
-    const releaseDate = new Date().toISOString().split('T')[0]; // Current date in YYYY-MM-DD format
-
-    // Strip HTML tags for Jira text
-    const stripHtml = (html) => {
-      return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
-    };
-
-    const businessImpactText = stripHtml(businessImpact);
-    const technicalChangesText = stripHtml(technicalChanges);
+  generateEmailText() {
+    const releaseDocument = this.getCustomerDocument();
+    const converter = new MarkdownToText();
+    const heading = (text, underline = '-') => `${text}\n${underline.repeat(text.length)}`;
+    const sections = [
+      heading(this.releaseTitle, '='),
+      `We're pleased to announce the release of ${this.releaseTitle}.`
+    ];
 
-    return `🚀 Released to Customer: ${this.releaseTitle}
+    const actions = this.extractCustomerActions(releaseDocument);
+    if (actions.length > 0) {
+      const summary = this.extractCustomerActionsSummary(releaseDocument);
+      const groups = Object.keys(ACTION_PRIORITY_LABELS)
+        .map(priority => ({ priority, items: actions.filter(action => action.priority === priority) }))
+        .filter(group => group.items.length > 0)
+        .map(group => `${ACTION_PRIORITY_LABELS[group.priority]}:\n${group.items.map(action => `- ${action.text}`).join('\n')}`);
+      sections.push([heading('Action Required'), summary && converter.convertBody(summary), ...groups].filter(Boolean).join('\n\n'));
+    }
 
-Business Impact: ${businessImpactText || 'Not specified'}
+    [['business_impact', "What's New"], ['technical_changes', 'Technical Changes']].forEach(([key, title]) => {
+      const markdown = releaseDocument.getSectionMarkdown(key);
+      if (markdown) {
+        sections.push(`${heading(title)}\n\n${converter.convertBody(markdown)}`);
+      }
+    });
 
-Technical Changes: ${technicalChangesText || 'Not specified'}
+    const files = releaseDocument.getIncludedFiles().map(file => `- ${file.label}`);
+    sections.push(`${heading('Release Files')}\n\n${files.length > 0 ? files.join('\n') : 'No specific files included in this release.'}`);
+    sections.push([
+      heading('Complete Details'),
+      '',
+      'For complete documentation and file downloads, please visit:',
+      process.env.RELEASE_URL || ''
+    ].join('\n').trim());
+
+    const references = converter.renderReferences();
+    if (references) {
+      sections.push(`Links:\n${references}`);
+    }
 
-📎 Release Package: ${this.generateFileListText()}
+    return sections.join('\n\n');
+  }
 
-🔗 Release Details: ${releaseUrl}
-📧 Customer Email: Sent to ${customerEmails || 'No emails specified'}
-📅 Release Date: ${releaseDate}`;
+  /**
+   * Generate Jira comment content from jira.comment_template; Jira keeps
+   * internal content
+   */
+  generateJiraComment() {
+    return ReleaseTemplate.fromConfig(this.config, 'jira.comment_template')
+      .render(this.buildTemplateContext(this.getDocument()));
   }
 
   /**
    * Generate plain text file list for Jira
    */
   generateFileListText() {
-    const filePatterns = [
-      { pattern: /\[[ x]\] Updated drawings \(PDF\)/i, label: 'Updated drawings (PDF)' },
-      { pattern: /\[[ x]\] 3D models \(STEP\/SolidWorks\)/i, label: '3D models (STEP/SolidWorks)' },
-      { pattern: /\[[ x]\] Documentation updates/i, label: 'Documentation updates' },
-      { pattern: /\[[ x]\] Test results/i, label: 'Test results' }
-    ];
-
-    const files = [];
-    for (const filePattern of filePatterns) {
-      if (this.releaseBody.match(filePattern.pattern)) {
-        files.push(filePattern.label);
-      }
-    }
-
+    const files = this.getDocument().getIncludedFiles().map(file => file.label);
     return files.length > 0 ? files.join(', ') : 'No specific files';
   }
 
@@ -266,30 +347,40 @@ Technical Changes: ${technicalChangesText || 'Not specified'}
     try {
       const emailSubject = this.generateEmailSubject();
       const emailBody = this.generateEmailBody();
+      const emailText = this.generateEmailText();
       const jiraComment = this.generateJiraComment();
       const businessImpact = this.extractBusinessImpactForEmail();
       const technicalChanges = this.extractTechnicalChangesForEmail();
+      const redactions = this.getRedactions();
+      const customerActions = this.extractCustomerActions();
 
       // Set GitHub Actions outputs
       core.setOutput('email_subject', emailSubject);
       core.setOutput('email_body', emailBody);
+      core.setOutput('email_text', emailText);
       core.setOutput('jira_comment', jiraComment);
       core.setOutput('business_impact', businessImpact);
       core.setOutput('technical_changes', technicalChanges);
+      core.setOutput('customer_actions', JSON.stringify(customerActions));
 
       // Log processing results
       console.log('📝 Content Processing Results:');
       console.log(`  Email Subject: ${emailSubject}`);
       console.log(`  Business Impact: ${businessImpact ? 'Found' : 'Not found'}`);
       console.log(`  Technical Changes: ${technicalChanges ? 'Found' : 'Not found'}`);
+      console.log(`  Customer Actions: ${customerActions.length}`);
       console.log(`  Release Type: ${this.releaseType}`);
+      console.log(`  Internal Content Withheld: ${redactions.length > 0 ? redactions.map(entry => entry.label).join(', ') : 'None'}`);
 
       return {
         emailSubject,
         emailBody,
+        emailText,
         jiraComment,
         businessImpact,
-        technicalChanges
+        technicalChanges,
+        customerActions,
+        redactions
       };
 
     } catch (error) {
@@ -0,0 +1,208 @@
+// Free webmail providers; drawings rarely go to personal mailboxes
+const FREEMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'gmx.com', 'gmx.de',
+  'web.de', 'mail.com', 'proton.me', 'protonmail.com', 'yandex.com', 'zoho.com'
+];
+
+// Shared mailboxes that are not a named person
+const ROLE_ACCOUNTS = [
+  'admin', 'billing', 'contact', 'hello', 'help', 'info', 'mail', 'marketing',
+  'no-reply', 'noreply', 'office', 'postmaster', 'sales', 'support', 'team', 'webmaster'
+];
+
+const DEFAULT_SEVERITY = {
+  typo_domains: 'error',
+  role_accounts: 'warning',
+  freemail: 'warning',
+  duplicates: 'warning',
+  first_time: 'warning'
+};
+
+/**
+ * Offline screening of release recipients for likely mistakes
+ * Each check reports at the severity configured under
+ * security.recipient_checks ("error", "warning" or "off")
+ */
+class RecipientScreening {
+  constructor({ knownDomains = [], knownAddresses = {}, customerDomains = {}, acknowledged = [], severity = {} } = {}) {
+    this.knownDomains = Array.from(new Set(knownDomains.map(domain => domain.toLowerCase())));
+    this.knownAddresses = knownAddresses;
+    this.customerDomains = customerDomains;
+    this.acknowledged = acknowledged;
+    this.severity = { ...DEFAULT_SEVERITY, ...severity };
+  }
+
+  /**
+   * Build a screening from the release config and customer directory
+   */
+  static fromConfig(config, customerDirectory, acknowledged = []) {
+    const knownDomains = [...config.get('security.allowed_email_domains', []), ...FREEMAIL_DOMAINS];
+    const knownAddresses = {};
+    const customerDomains = {};
+
+    for (const key of customerDirectory.getKeys()) {
+      const customer = customerDirectory.getCustomer(key);
+      const addresses = [
+        ...customer.contacts.map(contact => String(contact.email || '')),
+        ...customer.knownRecipients
+      ].filter(Boolean);
+
+      knownAddresses[key] = addresses.map(RecipientScreening.canonicalize);
+      customerDomains[key] = Array.from(new Set([
+        ...customer.allowedDomains,
+        ...knownAddresses[key].map(address => address.split('@').pop())
+      ]));
+      knownDomains.push(...customerDomains[key]);
+    }
+
+    return new RecipientScreening({
+      knownDomains,
+      knownAddresses,
+      customerDomains,
+      acknowledged,
+      severity: config.get('security.recipient_checks', {})
+    });
+  }
+
+  /**
+   * Lowercase an address and drop any +tag from the local part
+   */
+  static canonicalize(email) {
+    const [local, domain] = email.trim().toLowerCase().split('@');
+    return domain === undefined ? local : `${local.split('+')[0]}@${domain}`;
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+   */
+  static editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+      d[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[a.length][b.length];
+  }
+
+  /**
+   * Known domain a domain is probably a typo of, or null
+   */
+  findTypoTarget(domain) {
+    if (this.knownDomains.includes(domain)) {
+      return null;
+    }
+
+    return this.knownDomains.find(known => {
+      const distance = RecipientScreening.editDistance(domain, known);
+      // Short domains such as "me.com" sit one edit away from real ones
+      return known.length >= 7 && distance > 0 && distance <= (known.length > 10 ? 2 : 1);
+    }) || null;
+  }
+
+  /**
+   * True when Override-Domain-Check names the address or its domain
+   */
+  isAcknowledged(email) {
+    const address = email.toLowerCase();
+    const domain = address.split('@').pop();
+    return this.acknowledged.some(entry => entry === address || entry === domain);
+  }
+
+  /**
+   * Customer a recipient belongs to: its directory key or the customer
+   * that owns its domain
+   */
+  findCustomer(recipient) {
+    if (recipient.customer) {
+      return recipient.customer;
+    }
+
+    const domain = recipient.email.toLowerCase().split('@').pop();
+    return Object.keys(this.customerDomains).find(key => this.customerDomains[key].includes(domain)) || null;
+  }
+
+  /**
+   * Screen recipients, returning { errors, warnings } as message lists
+   */
+  screen(recipients) {
+    const findings = { error: [], warning: [] };
+    const report = (check, message) => {
+      const level = this.severity[check];
+      if (findings[level]) {
+        findings[level].push(message);
+      }
+    };
+
+    const typos = [];
+    const roleAccounts = [];
+    const freemail = [];
+    const firstTime = [];
+    const hasHistory = Object.keys(this.knownAddresses).length > 0;
+
+    for (const recipient of recipients) {
+      const email = recipient.email;
+      const [local, domain = ''] = email.toLowerCase().split('@');
+
+      const target = this.findTypoTarget(domain);
+      if (target && !this.isAcknowledged(email)) {
+        typos.push(`${email} (did you mean ${target}?)`);
+      }
+      if (ROLE_ACCOUNTS.includes(local.split('+')[0])) {
+        roleAccounts.push(email);
+      }
+      if (FREEMAIL_DOMAINS.includes(domain)) {
+        freemail.push(email);
+      }
+
+      const canonical = RecipientScreening.canonicalize(email);
+      const customer = this.findCustomer(recipient);
+      const known = customer
+        ? (this.knownAddresses[customer] || []).includes(canonical)
+        : Object.values(this.knownAddresses).some(addresses => addresses.includes(canonical));
+      if (hasHistory && !known) {
+        firstTime.push(customer ? `${email} (${customer})` : email);
+      }
+    }
+
+    const groups = new Map();
+    recipients.forEach(recipient => {
+      const canonical = RecipientScreening.canonicalize(recipient.email);
+      groups.set(canonical, [...(groups.get(canonical) || []), recipient.email]);
+    });
+    const duplicates = [...groups.values()].filter(emails => new Set(emails).size > 1);
+
+    if (typos.length > 0) {
+      report('typo_domains', `Possible typo in recipient domain: ${typos.join(', ')}`);
+    }
+    if (roleAccounts.length > 0) {
+      report('role_accounts', `Role account recipient(s): ${roleAccounts.join(', ')}`);
+    }
+    if (freemail.length > 0) {
+      report('freemail', `Personal webmail recipient(s): ${freemail.join(', ')}`);
+    }
+    if (duplicates.length > 0) {
+      report('duplicates', `Duplicate recipient(s): ${duplicates.map(emails => emails.join(' / ')).join(', ')}`);
+    }
+    if (firstTime.length > 0) {
+      report('first_time', `First-time recipient(s), please review: ${firstTime.join(', ')}`);
+    }
+
+    return { errors: findings.error, warnings: findings.warning };
+  }
+}
+
+RecipientScreening.FREEMAIL_DOMAINS = FREEMAIL_DOMAINS;
+RecipientScreening.ROLE_ACCOUNTS = ROLE_ACCOUNTS;
+
+module.exports = RecipientScreening;
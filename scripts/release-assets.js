@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Gmail rejects messages over 25 MB and base64 adds a third, so stay well below
+const DEFAULT_MAX_TOTAL_MB = 10;
+
+/**
+ * Release files for customer emails
+ * Files come from a local asset directory or the release's asset list.
+ * When they fit the configured size budget they are attached; otherwise
+ * the email lists them with SHA-256 checksums and download links where the
+ * release has them.
+ */
+class ReleaseAssets {
+  constructor({ directory = '', assets = [], maxTotalBytes = DEFAULT_MAX_TOTAL_MB * 1024 * 1024, githubToken = '', assetsError = '' } = {}) {
+    this.directory = directory;
+    this.assets = assets;
+    this.maxTotalBytes = maxTotalBytes;
+    this.githubToken = githubToken;
+    this.assetsError = assetsError;
+  }
+
+  /**
+   * Settings from email.attachments, with RELEASE_ASSETS_DIR and the
+   * RELEASE_ASSETS JSON (the release event's asset list) from the environment.
+   * A malformed RELEASE_ASSETS is kept as assetsError for prepare() to report.
+   */
+  static fromConfig(config, env = process.env) {
+    if (config.get('email.attachments.enabled', true) === false) {
+      return new ReleaseAssets({});
+    }
+
+    let assets = [];
+    let assetsError = '';
+    if (env.RELEASE_ASSETS) {
+      try {
+        assets = JSON.parse(env.RELEASE_ASSETS);
+      } catch (error) {
+        assets = [];
+        assetsError = `Release assets are not valid JSON: ${error.message}`;
+      }
+      if (!Array.isArray(assets)) {
+        assets = [];
+        assetsError = 'Release assets must be a JSON array';
+      }
+    }
+
+    return new ReleaseAssets({
+      directory: env.RELEASE_ASSETS_DIR || config.get('email.attachments.directory', ''),
+      assets,
+      maxTotalBytes: Number(config.get('email.attachments.max_total_mb', DEFAULT_MAX_TOTAL_MB)) * 1024 * 1024,
+      githubToken: env.GITHUB_TOKEN || '',
+      assetsError
+    });
+  }
+
+  static sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Human-readable size such as "2.4 MB"
+   */
+  static formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit += 1;
+    }
+    return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Files as [{ name, size, sha256, url, apiUrl, path, contentType }]; the
+   * local directory wins over the release asset list. Local files have no
+   * download link of their own. Release assets keep their browser link for
+   * customers and their API URL for downloading.
+   */
+  list() {
+    if (this.directory) {
+      if (!fs.existsSync(this.directory)) {
+        throw new Error(`Release asset directory not found: ${this.directory}`);
+      }
+
+      return fs.readdirSync(this.directory)
+        .filter(name => !name.startsWith('.'))
+        .map(name => path.join(this.directory, name))
+        .filter(filePath => fs.statSync(filePath).isFile())
+        .sort()
+        .map(filePath => ({
+          name: path.basename(filePath),
+          size: fs.statSync(filePath).size,
+          sha256: ReleaseAssets.sha256(fs.readFileSync(filePath)),
+          url: '',
+          path: filePath
+        }));
+    }
+
+    if (this.assetsError) {
+      throw new Error(this.assetsError);
+    }
+
+    return this.assets.map(asset => ({
+      name: asset.name,
+      size: Number(asset.size) || 0,
+      // GitHub reports "sha256:<hex>" digests for release assets
+      sha256: String(asset.digest || '').replace(/^sha256:/, ''),
+      url: asset.browser_download_url || '',
+      apiUrl: asset.url || '',
+      contentType: asset.content_type
+    }));
+  }
+
+  /**
+   * Decide how the files reach customers:
+   *   { mode: 'attached' | 'linked' | 'none', reason, totalBytes,
+   *     maxTotalBytes, files, attachments }
+   * attachments are MimeMessage attachments and are only set when attached.
+   */
+  async prepare() {
+    // A missing directory or unreadable file must not stop the emails
+    let files = [];
+    let listError = null;
+    try {
+      files = this.list();
+    } catch (error) {
+      listError = error;
+    }
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const result = { totalBytes, maxTotalBytes: this.maxTotalBytes, files, attachments: [] };
+
+    if (listError) {
+      return { ...result, mode: 'none', reason: `Could not list release files: ${listError.message}` };
+    }
+    if (files.length === 0) {
+      return { ...result, mode: 'none', reason: 'No release files' };
+    }
+    if (totalBytes > this.maxTotalBytes) {
+      return {
+        ...result,
+        mode: 'linked',
+        reason: `Files total ${ReleaseAssets.formatSize(totalBytes)}, over the ${ReleaseAssets.formatSize(this.maxTotalBytes)} attachment budget`
+      };
+    }
+
+    try {
+      const attachments = [];
+      for (const file of files) {
+        attachments.push(await this.loadAttachment(file));
+      }
+      return { ...result, mode: 'attached', reason: `Files total ${ReleaseAssets.formatSize(totalBytes)}`, attachments };
+    } catch (error) {
+      return { ...result, mode: 'linked', reason: `Could not attach files: ${error.message}` };
+    }
+  }
+
+  /**
+   * MimeMessage attachment for a file, downloading release assets through
+   * the API (which also serves private repositories) and checking them
+   * against their digest
+   */
+  async loadAttachment(file) {
+    if (file.path) {
+      return { filename: file.name, path: file.path };
+    }
+    if (!file.apiUrl) {
+      throw new Error(`no API URL for ${file.name}`);
+    }
+
+    const response = await axios.get(file.apiUrl, {
+      responseType: 'arraybuffer',
+      headers: {
+        Accept: 'application/octet-stream',
+        ...(this.githubToken ? { Authorization: `Bearer ${this.githubToken}` } : {})
+      }
+    });
+    const content = Buffer.from(response.data);
+    const sha256 = ReleaseAssets.sha256(content);
+
+    if (file.sha256 && file.sha256 !== sha256) {
+      throw new Error(`checksum mismatch for ${file.name}`);
+    }
+    file.sha256 = sha256;
+
+    return { filename: file.name, content, ...(file.contentType ? { contentType: file.contentType } : {}) };
+  }
+}
+
+module.exports = ReleaseAssets;
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../release_config.yml');
+
+// Used when release_config.yml does not configure Jira
+const DEFAULT_TICKET_PATTERN = '[A-Z][A-Z0-9]+-\\d+';
+const DEFAULT_PROJECT_KEYS = ['PDE'];
+
+// Used when release_config.yml does not define release_types
+const DEFAULT_RELEASE_TYPES = {
+  default: 'update',
+  semver_defaults: { major: 'major', minor: 'minor', patch: 'bugfix' },
+  types: {
+    major: { label: 'Major Release', emoji: '🚀', semver: ['major'], keywords: { title: ['major'], body: ['major release'] } },
+    minor: { label: 'Minor Update', emoji: '📦', semver: ['minor'], keywords: { title: ['minor'], body: ['minor update'] } },
+    bugfix: { label: 'Bug Fix', emoji: '🐛', semver: ['patch'], keywords: { title: ['bug', 'fix'], body: ['bug fix'] } },
+    documentation: {
+      label: 'Documentation Update',
+      emoji: '📚',
+      semver: ['patch'],
+      keywords: { title: ['doc', 'documentation'], body: ['documentation'] }
+    },
+    update: { label: 'Update', emoji: '📋', semver: ['minor', 'patch'] }
+  }
+};
+
+/**
+ * Shared access to release_config.yml
+ * Every script reads settings through this class so they agree on them
+ */
+class ReleaseConfig {
+  constructor(config = {}) {
+    this.config = config || {};
+  }
+
+  /**
+   * Load configuration from RELEASE_CONFIG_PATH or the repository default
+   */
+  static load(configPath = process.env.RELEASE_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+      return new ReleaseConfig({});
+    }
+
+    try {
+      return new ReleaseConfig(yaml.load(fs.readFileSync(configPath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Invalid release config ${configPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a dotted path such as "jira.ticket_pattern"
+   */
+  get(keyPath, fallback) {
+    const value = keyPath.split('.').reduce(
+      (node, key) => (node && typeof node === 'object' ? node[key] : undefined),
+      this.config
+    );
+
+    return value === undefined || value === null ? fallback : value;
+  }
+
+  /**
+   * Normalize a project name or repository name into config key form
+   * e.g. "Project A" -> "project_a"
+   */
+  static normalizeProjectKey(name) {
+    return String(name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Project keys known to the config (product owners and Jira allowlists)
+   */
+  getProjectKeys() {
+    const keys = [
+      ...Object.keys(this.get('product_owners.projects', {})),
+      ...Object.keys(this.get('jira.projects', {}))
+    ];
+
+    return Array.from(new Set(keys));
+  }
+
+  /**
+   * Map a project name to its config key, matching the key itself or any
+   * of the project's configured aliases. Returns '' when nothing matches.
+   */
+  resolveProjectKey(name) {
+    const normalized = ReleaseConfig.normalizeProjectKey(name);
+    if (!normalized) {
+      return '';
+    }
+
+    return this.getProjectKeys().find(key => {
+      const aliases = [
+        key,
+        ...this.get(`product_owners.projects.${key}.aliases`, []),
+        ...this.get(`jira.projects.${key}.aliases`, [])
+      ];
+      return aliases.some(alias => ReleaseConfig.normalizeProjectKey(alias) === normalized);
+    }) || '';
+  }
+
+  /**
+   * Product owner { name, email } for a project, falling back to the default
+   */
+  getProductOwner(projectName) {
+    const key = this.resolveProjectKey(projectName);
+    const owner = (key && this.get(`product_owners.projects.${key}`)) || this.get('product_owners.default', {});
+
+    return { name: owner.name || 'Product Owner', email: owner.email || '' };
+  }
+
+  /**
+   * Release types in detection order, with defaults applied
+   */
+  getReleaseTypes() {
+    const types = this.get('release_types.types', DEFAULT_RELEASE_TYPES.types);
+
+    return Object.entries(types).map(([key, type]) => {
+      const settings = type || {};
+      const keywords = settings.keywords || {};
+      const toList = value => [].concat(value || []).map(String);
+
+      return {
+        key,
+        label: settings.label || key,
+        emoji: settings.emoji || '',
+        fieldValues: toList(settings.field_values),
+        keywords: {
+          title: toList(keywords.title).map(keyword => keyword.toLowerCase()),
+          body: toList(keywords.body).map(keyword => keyword.toLowerCase())
+        },
+        requiredSections: toList(settings.required_sections),
+        semver: toList(settings.semver).map(bump => bump.toLowerCase()),
+        notifyCustomers: settings.notify_customers !== false,
+        notifyPo: settings.notify_po !== false,
+        updateJira: settings.update_jira !== false
+      };
+    });
+  }
+
+  /**
+   * A release type by key, or null
+   */
+  getReleaseType(key) {
+    return this.getReleaseTypes().find(type => type.key === key) || null;
+  }
+
+  /**
+   * Type used when detection finds no keywords
+   */
+  getDefaultReleaseType() {
+    const types = this.getReleaseTypes();
+    const defaultKey = this.get('release_types.default', DEFAULT_RELEASE_TYPES.default);
+    return this.getReleaseType(defaultKey) || types[types.length - 1];
+  }
+
+  /**
+   * Map a declared type such as "Major Release" or "bugfix" onto a type key
+   * by key, label or field value. Returns '' when nothing matches.
+   */
+  resolveReleaseType(value) {
+    // "Bug Fix Release", "bug-fix" and "🐛 Bug Fix" all name the same type
+    const normalize = name => ReleaseConfig.normalizeProjectKey(name).replace(/_release$/, '');
+    const normalized = normalize(value);
+    if (!normalized) {
+      return '';
+    }
+
+    const type = this.getReleaseTypes().find(entry =>
+      [entry.key, entry.label, ...entry.fieldValues].some(name => normalize(name) === normalized)
+    );
+    return type ? type.key : '';
+  }
+
+  /**
+   * Split a declared release type such as "Major Release" or the template's
+   * "[Major Release | Minor Update | ...]" into { values, types, placeholder }.
+   * values are the listed names, types their type keys (or the lowercased
+   * name when unknown), and placeholder is true for a bracketed option list.
+   */
+  parseDeclaredReleaseType(value) {
+    const text = [].concat(value === undefined || value === null ? [] : value).join(', ').trim();
+    const bracketed = /^\[.*\]$/.test(text);
+    const values = (bracketed ? text.slice(1, -1) : text)
+      .split(/\s*(?:\||,|;|\/|\bor\b)\s*/i)
+      .map(entry => entry.trim())
+      .filter(Boolean);
+
+    return {
+      values,
+      types: values.map(entry => this.resolveReleaseType(entry) || entry.toLowerCase()),
+      placeholder: bracketed && values.length > 1
+    };
+  }
+
+  /**
+   * Infer a release type key from title and body keywords
+   */
+  detectReleaseType(title, body) {
+    const lowerTitle = String(title || '').toLowerCase();
+    const lowerBody = String(body || '').toLowerCase();
+
+    const type = this.getReleaseTypes().find(entry =>
+      entry.keywords.title.some(keyword => lowerTitle.includes(keyword)) ||
+      entry.keywords.body.some(keyword => lowerBody.includes(keyword))
+    );
+    return type ? type.key : this.getDefaultReleaseType().key;
+  }
+
+  /**
+   * True when a type allows a version bump ('major', 'minor' or 'patch');
+   * types without a semver list allow any bump
+   */
+  allowsVersionBump(key, bump) {
+    const type = this.getReleaseType(key);
+    return !type || type.semver.length === 0 || type.semver.includes(bump);
+  }
+
+  /**
+   * Keep a detected type when it fits the version bump, otherwise use the
+   * type configured for the bump under release_types.semver_defaults
+   */
+  reconcileReleaseType(key, bump) {
+    if (!['major', 'minor', 'patch'].includes(bump) || this.allowsVersionBump(key, bump)) {
+      return key;
+    }
+
+    const defaults = this.get(
+      'release_types.semver_defaults',
+      this.get('release_types.types') ? {} : DEFAULT_RELEASE_TYPES.semver_defaults
+    );
+    const fallback = this.getReleaseType(defaults[bump]) ||
+      this.getReleaseTypes().find(type => type.semver.includes(bump));
+    return fallback ? fallback.key : key;
+  }
+
+  /**
+   * Subject label such as "🚀 Major Release", falling back to the default type
+   */
+  getReleaseTypeLabel(key) {
+    const type = this.getReleaseType(key) || this.getDefaultReleaseType();
+    return [type.emoji, type.label].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Jira ticket pattern source, without anchors or flags
+   */
+  getJiraTicketPattern() {
+    return this.get('jira.ticket_pattern', DEFAULT_TICKET_PATTERN);
+  }
+
+  /**
+   * Allowed Jira project keys, using the project's allowlist when it has one.
+   * An empty list accepts every key matching the ticket pattern.
+   */
+  getJiraProjectKeys(project) {
+    const projectKeys = project ? this.get(`jira.projects.${project}.project_keys`) : undefined;
+    const keys = projectKeys || this.get('jira.project_keys', this.get('jira') ? [] : DEFAULT_PROJECT_KEYS);
+
+    return keys.map(key => String(key).trim().toUpperCase()).filter(Boolean);
+  }
+
+  /**
+   * Validate a ticket against the configured pattern and project allowlist
+   */
+  isValidJiraTicket(ticket, project) {
+    const ticketRegex = new RegExp(`^(?:${this.getJiraTicketPattern()})$`);
+    if (!ticketRegex.test(ticket)) {
+      return false;
+    }
+
+    const keys = this.getJiraProjectKeys(project);
+    return keys.length === 0 || keys.includes(ticket.split('-')[0].toUpperCase());
+  }
+
+  /**
+   * Find allowed ticket references anywhere in a block of text
+   */
+  findJiraTickets(text, project) {
+    const ticketRegex = new RegExp(`\\b(?:${this.getJiraTicketPattern()})\\b`, 'g');
+    const tickets = (text.match(ticketRegex) || [])
+      .filter(ticket => this.isValidJiraTicket(ticket, project));
+
+    return Array.from(new Set(tickets));
+  }
+}
+
+module.exports = ReleaseConfig;
@@ -0,0 +1,499 @@
+const marked = require('marked');
+const yaml = require('js-yaml');
+
+/**
+ * Canonical release sections and the headings that introduce them.
+ * Aliases are listed in priority order; the first heading found wins.
+ */
+const SECTION_ALIASES = {
+  release_summary: ['Release Summary', 'Summary'],
+  issue_summary: ['Issue Summary', 'Problem Identified'],
+  resolution: ['Resolution', 'Resolution Description'],
+  business_impact: ['Business Impact', "What's New"],
+  technical_changes: ['Technical Changes', 'Changes Made'],
+  visual_documentation: ['Visual Documentation'],
+  files_included: ['Files Included', 'Attachments'],
+  customer_actions: ['Customer Actions Required'],
+  related_work: ['Related Work'],
+  engineering_notes: ['Notes for Engineering Team']
+};
+
+// Items offered by the "Files Included" checklist in the release templates
+const FILE_CHECKLIST_ITEMS = [
+  'Updated drawings (PDF)',
+  '3D models (STEP/SolidWorks)',
+  'Documentation updates',
+  'Test results',
+  'Assembly instructions',
+  'Bill of materials',
+  'Quality control reports'
+];
+
+// Loose check boxes the GFM lexer does not recognize, e.g. "[ x]" or "[x ]"
+const LOOSE_CHECKBOX_PATTERN = /^\[\s*([xX]?)\s*\]\s+([\s\S]*)$/;
+
+// Customer action subsection headings and the priority they set; actions
+// anywhere else in the section are 'required'
+const ACTION_PRIORITY_PATTERNS = {
+  immediate: /\b(immediate|urgent|mandatory)\b/i,
+  optional: /\b(optional|recommended|suggested)\b/i
+};
+
+// "Other: ..." free-text checklist entries
+const OTHER_ITEM_PATTERN = /^other\s*:\s*([\s\S]*)$/i;
+
+// "**Label:** value", "**Label**: value" or "Label: value"
+const FIELD_PATTERN = /^\s*(?:[-*+]\s+)?(?:\*\*|__)?([A-Za-z][A-Za-z0-9 '()&/.-]{0,60}?)(?:\*\*|__)?\s*:\s*(?:\*\*|__)?[ \t]*(.*)$/;
+
+// A ```yaml fence at the very top of the body; a leading "---" is a
+// horizontal rule, not front matter
+const FRONT_MATTER_PATTERN = /^\s*```ya?ml[ \t]*\n([\s\S]*?)\n```[ \t]*(?=\n|$)/;
+
+// A paragraph opening with a bare "Label:" line acts as a section heading
+const LABEL_HEADING_PATTERN = /^(?:\*\*|__)?([A-Za-z][A-Za-z0-9 '()&/.-]{0,60}?)(?:\*\*|__)?\s*:\s*(?:\*\*|__)?\s*$/;
+
+/**
+ * Parsed model of a GitHub release body
+ * Built from the marked lexer so every script agrees on sections, fields,
+ * checklists and images instead of running its own regexes over the raw text
+ */
+class ReleaseDocument {
+  constructor(markdown = '') {
+    this.source = markdown || '';
+
+    const { frontMatter, body } = this.extractFrontMatter(ReleaseDocument.normalize(this.source));
+    this.frontMatter = frontMatter;
+    this.tokens = this.tokenize(body);
+    this.root = this.buildSections(this.tokens);
+    this.fields = this.collectFields(this.tokens);
+  }
+
+  /**
+   * Normalize line endings and strip indentation shared by every line
+   */
+  static normalize(markdown) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const indents = lines
+      .filter(line => line.trim())
+      .map(line => line.match(/^[ \t]*/)[0].length);
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+
+    return lines.map(line => line.slice(Math.min(indent, line.match(/^[ \t]*/)[0].length))).join('\n');
+  }
+
+  /**
+   * Normalize a heading or field label for comparison
+   */
+  static normalizeLabel(label) {
+    return (label || '')
+      .replace(/[*_`]/g, '')
+      .replace(/:\s*$/, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Split a leading YAML block from the body; the block is blanked out
+   * rather than removed so line numbers still match the source
+   */
+  extractFrontMatter(markdown) {
+    const match = markdown.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+      return { frontMatter: null, body: markdown };
+    }
+
+    let frontMatter;
+    try {
+      frontMatter = yaml.load(match[1]);
+    } catch (error) {
+      throw new Error(`Invalid YAML front matter: ${error.message}`);
+    }
+
+    if (frontMatter === null || frontMatter === undefined) {
+      frontMatter = {};
+    }
+
+    if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+      throw new Error('Invalid YAML front matter: expected key/value pairs');
+    }
+
+    const blank = match[0].replace(/[^\n]/g, '');
+    return { frontMatter, body: blank + markdown.slice(match[0].length) };
+  }
+
+  /**
+   * Lex markdown into block tokens annotated with their 1-based source line
+   */
+  tokenize(markdown) {
+    const tokens = [];
+    let line = 1;
+
+    for (const token of marked.lexer(markdown)) {
+      token.line = line;
+      line += (token.raw.match(/\n/g) || []).length;
+
+      tokens.push(...this.splitLabelHeading(token));
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Turn a paragraph such as "Business Impact:\nSome text" into a heading
+   * followed by its content
+   */
+  splitLabelHeading(token) {
+    if (token.type !== 'paragraph') {
+      return [token];
+    }
+
+    const [firstLine, ...rest] = token.raw.split('\n');
+    const match = firstLine.match(LABEL_HEADING_PATTERN);
+    if (!match) {
+      return [token];
+    }
+
+    const heading = {
+      type: 'heading',
+      raw: `${firstLine}\n`,
+      depth: 7,
+      text: match[1].trim(),
+      implicit: true,
+      line: token.line
+    };
+
+    const remainder = rest.join('\n');
+    const content = marked.lexer(remainder);
+    let line = token.line + 1;
+    for (const child of content) {
+      child.line = line;
+      line += (child.raw.match(/\n/g) || []).length;
+    }
+
+    return [heading, ...content];
+  }
+
+  /**
+   * Build the heading tree; each section keeps its own body tokens and the
+   * full token run including nested subsections
+   */
+  buildSections(tokens) {
+    const root = this.createSection(null, 0, 1);
+    const stack = [root];
+
+    for (const token of tokens) {
+      if (token.type === 'heading') {
+        while (stack[stack.length - 1].level >= token.depth) {
+          stack.pop();
+        }
+
+        const section = this.createSection(token.text, token.depth, token.line);
+        section.implicit = Boolean(token.implicit);
+        stack.forEach(parent => parent.content.push(token));
+        stack[stack.length - 1].children.push(section);
+        stack.push(section);
+        continue;
+      }
+
+      stack.forEach(section => section.content.push(token));
+      stack[stack.length - 1].body.push(token);
+    }
+
+    return root;
+  }
+
+  createSection(title, level, line) {
+    return {
+      title,
+      key: ReleaseDocument.normalizeLabel(title),
+      level,
+      line,
+      implicit: false,
+      body: [],
+      content: [],
+      children: []
+    };
+  }
+
+  /**
+   * Collect "Label: value" fields from paragraphs and list items
+   */
+  collectFields(tokens) {
+    const fields = [];
+
+    const visit = (token, line) => {
+      if (token.type === 'paragraph' || token.type === 'text') {
+        token.raw.split('\n').forEach((text, offset) => {
+          const match = text.match(FIELD_PATTERN);
+          if (match && match[2].trim()) {
+            fields.push({
+              label: match[1].trim(),
+              key: ReleaseDocument.normalizeLabel(match[1]),
+              value: match[2].trim(),
+              line: line + offset
+            });
+          }
+        });
+      } else if (token.type === 'list') {
+        let itemLine = line;
+        for (const item of token.items) {
+          (item.tokens || []).forEach(child => visit(child, itemLine));
+          itemLine += (item.raw.match(/\n/g) || []).length;
+        }
+      }
+    };
+
+    tokens.forEach(token => visit(token, token.line));
+    return fields;
+  }
+
+  /**
+   * Resolve a canonical section key or heading into its heading aliases
+   */
+  resolveAliases(name) {
+    const names = Array.isArray(name) ? name : [name];
+    return names.flatMap(entry => SECTION_ALIASES[entry] || SECTION_ALIASES[ReleaseDocument.toKey(entry)] || [entry]);
+  }
+
+  /**
+   * Snake-case key for a label, e.g. "Issue Summary" -> "issue_summary"
+   */
+  static toKey(label) {
+    return ReleaseDocument.normalizeLabel(label).replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Find a section by canonical key (e.g. business_impact) or heading text
+   */
+  getSection(name) {
+    for (const alias of this.resolveAliases(name)) {
+      const key = ReleaseDocument.normalizeLabel(alias);
+      const section = this.findSection(this.root, key);
+      if (section) {
+        return section;
+      }
+    }
+
+    return null;
+  }
+
+  findSection(section, key) {
+    for (const child of section.children) {
+      if (child.key === key) {
+        return child;
+      }
+
+      const nested = this.findSection(child, key);
+      if (nested) {
+        return nested;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List every section in document order
+   */
+  getSections() {
+    const sections = [];
+    const walk = section => {
+      section.children.forEach(child => {
+        sections.push(child);
+        walk(child);
+      });
+    };
+
+    walk(this.root);
+    return sections;
+  }
+
+  /**
+   * Innermost section containing a 1-based source line, or null before the
+   * first heading
+   */
+  getSectionAtLine(line) {
+    let current = null;
+    for (const section of this.getSections()) {
+      if (section.line > line) {
+        break;
+      }
+      current = section;
+    }
+
+    return current;
+  }
+
+  /**
+   * Markdown of a section including its subsections, without the heading
+   * and trailing horizontal rules
+   */
+  getSectionMarkdown(name) {
+    const section = this.getSection(name);
+    return section ? this.tokensToMarkdown(section.content) : '';
+  }
+
+  tokensToMarkdown(tokens) {
+    const trimmed = [...tokens];
+    while (trimmed.length > 0 && ['hr', 'space'].includes(trimmed[trimmed.length - 1].type)) {
+      trimmed.pop();
+    }
+
+    return trimmed.map(token => token.raw).join('').trim();
+  }
+
+  /**
+   * Value of the first field matching any of the given labels
+   */
+  getField(labels) {
+    const field = this.findField(labels);
+    return field ? field.value : '';
+  }
+
+  findField(labels) {
+    for (const label of Array.isArray(labels) ? labels : [labels]) {
+      const key = ReleaseDocument.normalizeLabel(label);
+      const field = this.fields.find(entry => entry.key === key);
+      if (field) {
+        return field;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Value of a front matter key, or undefined when the body has none
+   */
+  getFrontMatterValue(key) {
+    return this.frontMatter ? this.frontMatter[key] : undefined;
+  }
+
+  /**
+   * Task-list items within a section (or the whole document)
+   */
+  getChecklist(name) {
+    const section = name ? this.getSection(name) : this.root;
+    if (!section) {
+      return [];
+    }
+
+    const items = [];
+    const visit = (token, line) => {
+      if (token.type !== 'list') {
+        return;
+      }
+
+      let itemLine = line;
+      for (const item of token.items) {
+        const loose = item.task ? null : item.text.trim().match(LOOSE_CHECKBOX_PATTERN);
+        if (item.task) {
+          items.push({ text: item.text.trim(), checked: Boolean(item.checked), line: itemLine });
+        } else if (loose) {
+          items.push({ text: loose[2].trim(), checked: Boolean(loose[1]), line: itemLine });
+        }
+        (item.tokens || []).forEach(child => visit(child, itemLine + 1));
+        itemLine += (item.raw.match(/\n/g) || []).length;
+      }
+    };
+
+    section.content.forEach(token => visit(token, token.line));
+    return items;
+  }
+
+  /**
+   * Checked entries of the "Files Included" checklist
+   * Known template items keep their canonical label; "Other: ..." entries
+   * report their free text and are skipped while still a placeholder
+   */
+  getIncludedFiles() {
+    const files = [];
+
+    for (const item of this.getChecklist('files_included')) {
+      if (!item.checked) {
+        continue;
+      }
+
+      const other = item.text.match(OTHER_ITEM_PATTERN);
+      if (other) {
+        const text = other[1].trim();
+        if (text && !/^\[.*\]$/.test(text) && !/^(none|n\/a)$/i.test(text)) {
+          files.push({ label: text, known: false, other: true, line: item.line });
+        }
+        continue;
+      }
+
+      const known = FILE_CHECKLIST_ITEMS.find(
+        label => ReleaseDocument.normalizeLabel(label) === ReleaseDocument.normalizeLabel(item.text)
+      );
+      files.push({ label: known || item.text, known: Boolean(known), other: false, line: item.line });
+    }
+
+    return files;
+  }
+
+  /**
+   * Actions listed under "Customer Actions Required" as [{ text, priority, line }]
+   * Checklists contribute their checked items, plain lists every item;
+   * priority comes from the enclosing subsection heading (see
+   * ACTION_PRIORITY_PATTERNS)
+   */
+  getCustomerActions() {
+    const section = this.getSection('customer_actions');
+    if (!section) {
+      return [];
+    }
+
+    const actions = [];
+    let priority = 'required';
+
+    for (const token of section.content) {
+      if (token.type === 'heading') {
+        priority = Object.keys(ACTION_PRIORITY_PATTERNS)
+          .find(key => ACTION_PRIORITY_PATTERNS[key].test(token.text)) || 'required';
+        continue;
+      }
+      if (token.type !== 'list') {
+        continue;
+      }
+
+      let itemLine = token.line;
+      for (const item of token.items) {
+        const loose = item.task ? null : item.text.trim().match(LOOSE_CHECKBOX_PATTERN);
+        const checked = item.task ? item.checked : loose ? Boolean(loose[1]) : true;
+        const text = (loose ? loose[2] : item.text).trim().split('\n')[0].trim();
+
+        if (checked && text && !/^\[.*\]$/.test(text) && !/^(none|n\/a)$/i.test(text)) {
+          actions.push({ text, priority, line: itemLine });
+        }
+        itemLine += (item.raw.match(/\n/g) || []).length;
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Images referenced anywhere in the document
+   */
+  getImages() {
+    const images = [];
+    const visit = (token, line) => {
+      if (token.type === 'image') {
+        images.push({ alt: token.text, href: token.href, title: token.title || '', line });
+      }
+      (token.tokens || []).forEach(child => visit(child, line));
+      (token.items || []).forEach(child => visit(child, line));
+    };
+
+    this.tokens.forEach(token => visit(token, token.line));
+    return images;
+  }
+}
+
+ReleaseDocument.SECTION_ALIASES = SECTION_ALIASES;
+ReleaseDocument.FILE_CHECKLIST_ITEMS = FILE_CHECKLIST_ITEMS;
+ReleaseDocument.ACTION_PRIORITY_PATTERNS = ACTION_PRIORITY_PATTERNS;
+
+module.exports = ReleaseDocument;
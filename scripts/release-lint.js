@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CustomerDirectory = require('./customer-directory');
+const ReleaseConfig = require('./release-config');
+const ReleaseDataParser = require('./parse-release-data');
+const ReleaseValidator = require('./validate-release');
+
+const USAGE = `Usage: release-lint [options] <draft.md>...
+
+Checks a release draft with the same parser and validator as the release workflow.
+
+Options:
+  --format <text|json>  Output format (default: text)
+  --title <name>        GitHub release name, used for the Release Title field
+  --tag <tag>           Release tag, checked against the previous tag in git
+  --config <path>       release_config.yml to use
+  --customers <path>    customers.yml to use
+  -h, --help            Show this help`;
+
+/**
+ * Lint release drafts locally before they are published
+ * Runs ReleaseDataParser and ReleaseValidator directly, without process.env
+ * or GitHub Actions outputs
+ */
+class ReleaseLinter {
+  constructor(options = {}) {
+    this.title = options.title || '';
+    this.tag = options.tag || '';
+    this.config = ReleaseConfig.load(options.config || undefined);
+    this.customerDirectory = CustomerDirectory.load(options.customers || undefined);
+  }
+
+  /**
+   * Parse command line arguments into { files, format, title, tag, config, customers, help }
+   */
+  static parseArgs(argv) {
+    const options = { files: [], format: 'text', title: '', tag: '', config: '', customers: '', help: false };
+    const valueOptions = ['format', 'title', 'tag', 'config', 'customers'];
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '-h' || arg === '--help') {
+        options.help = true;
+        continue;
+      }
+
+      const match = arg.match(/^--([a-z]+)(?:=(.*))?$/);
+      if (match) {
+        if (!valueOptions.includes(match[1])) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+
+        const value = match[2] !== undefined ? match[2] : argv[++i];
+        if (value === undefined) {
+          throw new Error(`Missing value for --${match[1]}`);
+        }
+        options[match[1]] = value;
+        continue;
+      }
+
+      options.files.push(arg);
+    }
+
+    if (!['text', 'json'].includes(options.format)) {
+      throw new Error(`Unknown format: ${options.format} (expected text or json)`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Lint release body text, returning { file, valid, problems, data }
+   */
+  lintText(releaseBody, file = '<input>') {
+    const shared = {
+      releaseBody,
+      releaseTitle: this.title,
+      config: this.config,
+      customerDirectory: this.customerDirectory
+    };
+
+    let data;
+    try {
+      data = new ReleaseDataParser({ ...shared, releaseTag: this.tag, repository: '' }).extract();
+    } catch (error) {
+      return {
+        file,
+        valid: false,
+        problems: [{ severity: 'error', message: error.message, line: 1, column: 1 }],
+        data: null
+      };
+    }
+
+    const validator = new ReleaseValidator({
+      ...shared,
+      customerEmails: data.customerEmails,
+      customerRecipients: JSON.stringify(data.customerRecipients),
+      customerGroups: data.customerGroups.join(','),
+      jiraTickets: data.jiraTickets,
+      releaseType: data.releaseType,
+      declaredReleaseType: data.declaredReleaseType,
+      releaseTag: this.tag,
+      previousTag: data.previousTag,
+      projectName: data.projectName
+    });
+    const result = validator.check();
+
+    return {
+      file,
+      valid: result.isValid,
+      problems: ReleaseLinter.sortProblems(result.problems),
+      data
+    };
+  }
+
+  /**
+   * Lint a draft file
+   */
+  lintFile(filePath) {
+    return this.lintText(fs.readFileSync(filePath, 'utf8'), filePath);
+  }
+
+  /**
+   * Located problems first, in document order
+   */
+  static sortProblems(problems) {
+    return [...problems].sort((a, b) =>
+      (a.line || Infinity) - (b.line || Infinity) || (a.column || 0) - (b.column || 0)
+    );
+  }
+
+  /**
+   * Human readable report in "file:line:column: severity message" form
+   */
+  static formatText(results) {
+    const lines = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const result of results) {
+      for (const problem of result.problems) {
+        const location = problem.line ? `${result.file}:${problem.line}:${problem.column || 1}` : result.file;
+        lines.push(`${location}: ${problem.severity} ${problem.message}`);
+        if (problem.severity === 'error') {
+          errorCount++;
+        } else {
+          warningCount++;
+        }
+      }
+    }
+
+    lines.push(errorCount > 0
+      ? `✖ ${errorCount} error(s), ${warningCount} warning(s)`
+      : `✔ No errors, ${warningCount} warning(s)`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Machine readable report
+   */
+  static formatJson(results) {
+    return JSON.stringify(results.map(result => ({
+      file: result.file,
+      valid: result.valid,
+      errors: result.problems.filter(problem => problem.severity === 'error'),
+      warnings: result.problems.filter(problem => problem.severity === 'warning'),
+      data: result.data
+    })), null, 2);
+  }
+
+  /**
+   * Run the CLI and return the process exit code
+   * 0 when every draft passes, 1 on validation errors, 2 on usage errors
+   */
+  static run(argv, stdout = console.log, stderr = console.error) {
+    let options;
+    try {
+      options = ReleaseLinter.parseArgs(argv);
+    } catch (error) {
+      stderr(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    if (options.help) {
+      stdout(USAGE);
+      return 0;
+    }
+    if (options.files.length === 0) {
+      stderr(USAGE);
+      return 2;
+    }
+
+    let results;
+    try {
+      const linter = new ReleaseLinter(options);
+      results = options.files.map(file => linter.lintFile(path.resolve(file)))
+        .map((result, index) => ({ ...result, file: options.files[index] }));
+    } catch (error) {
+      stderr(`release-lint: ${error.message}`);
+      return 2;
+    }
+
+    stdout(options.format === 'json' ? ReleaseLinter.formatJson(results) : ReleaseLinter.formatText(results));
+    return results.every(result => result.valid) ? 0 : 1;
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  process.exitCode = ReleaseLinter.run(process.argv.slice(2));
+}
+
+module.exports = ReleaseLinter;
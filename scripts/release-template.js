@@ -0,0 +1,260 @@
+const ReleaseDocument = require('./release-document');
+
+// {name}, {name.path}, {#if name}, {else}, {/if}, {#each name}, {/each}
+const TAG_PATTERN = /\{(?:(#if|#each)\s+([A-Za-z_][\w.]*)|(else|\/if|\/each)|([A-Za-z_][\w.]*))\s*\}/g;
+
+// Block tags alone on a line take the whole line with them
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{(?:#if|#each)\s+[A-Za-z_][\w.]*\s*\}|\{(?:else|\/if|\/each)\s*\})[ \t]*(?:\n|$)/gm;
+
+// Templates used when release_config.yml does not set them
+const DEFAULT_TEMPLATES = {
+  'email.subject_template': 'Release Notification: {release_title}',
+  'email.body_template': [
+    'Hello {po_name},',
+    '',
+    'A new release has been published:',
+    '',
+    '**Release:** {release_title} ({release_tag})',
+    '**URL:** {release_url}',
+    '',
+    'Best regards,',
+    'Release Automation System'
+  ].join('\n'),
+  'email.customer_subject_template': '{release_type_label}: {short_title}',
+  'jira.comment_template': [
+    '🚀 Released to Customer: {release_title}',
+    '',
+    'Business Impact: {#if business_impact}{business_impact}{else}Not specified{/if}',
+    '',
+    'Technical Changes: {#if technical_changes}{technical_changes}{else}Not specified{/if}',
+    '',
+    '📎 Release Package: {#if file_list}{file_list}{else}No specific files{/if}',
+    '',
+    '🔗 Release Details: {release_url}',
+    '📅 Release Date: {release_date}'
+  ].join('\n')
+};
+
+// Config keys holding templates rendered against the release context
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+const ACTION_PRIORITY_LABELS = {
+  immediate: 'Immediate',
+  required: 'Required',
+  optional: 'Optional'
+};
+
+/**
+ * Renderer for the templates in release_config.yml
+ *
+ *   {name}                      value, lists are joined with ", "
+ *   {#if name}...{else}...{/if} non-empty value or list
+ *   {#each name}...{/each}      repeat per item; {this} is the item and
+ *                               item fields are available by name
+ *
+ * Unknown placeholders and unbalanced blocks throw instead of rendering
+ * partial text.
+ */
+class ReleaseTemplate {
+  constructor(source, name = 'template') {
+    this.source = String(source || '');
+    this.name = name;
+    this.nodes = this.parse(this.source.replace(STANDALONE_TAG_PATTERN, '$1'));
+  }
+
+  /**
+   * Template stored under a config key such as "jira.comment_template"
+   */
+  static fromConfig(config, key) {
+    return new ReleaseTemplate(config.get(key, DEFAULT_TEMPLATES[key]), key);
+  }
+
+  /**
+   * Render a template string in one step
+   */
+  static render(source, context, name) {
+    return new ReleaseTemplate(source, name).render(context);
+  }
+
+  /**
+   * Build the syntax tree: text, value, if and each nodes
+   */
+  parse(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    const append = node => {
+      const parent = stack[stack.length - 1];
+      (parent.inElse ? parent.otherwise : parent.children).push(node);
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const [tag, opener, openerPath, closer, valuePath] = match;
+      const keyword = opener || closer;
+      const path = openerPath || valuePath;
+
+      if (match.index > lastIndex) {
+        append({ type: 'text', text: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = match.index + tag.length;
+
+      const current = stack[stack.length - 1];
+      if (keyword === '#if' || keyword === '#each') {
+        const node = keyword === '#if'
+          ? { type: 'if', path, tag, children: [], otherwise: [], inElse: false }
+          : { type: 'each', path, tag, children: [] };
+        append(node);
+        stack.push(node);
+      } else if (keyword === 'else') {
+        if (current.type !== 'if' || current.inElse) {
+          throw new Error(`Unexpected {else} in ${this.name}`);
+        }
+        current.inElse = true;
+      } else if (keyword === '/if' || keyword === '/each') {
+        if (current.type !== keyword.slice(1)) {
+          throw new Error(`Unexpected ${tag} in ${this.name}`);
+        }
+        stack.pop();
+      } else {
+        append({ type: 'value', path, tag });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed ${stack[stack.length - 1].tag} in ${this.name}`);
+    }
+    if (lastIndex < source.length) {
+      append({ type: 'text', text: source.slice(lastIndex) });
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Render against a context object
+   */
+  render(context) {
+    return this.renderNodes(this.nodes, [context || {}]);
+  }
+
+  renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.text;
+      }
+
+      const value = this.lookup(node, scopes);
+      if (node.type === 'if') {
+        return this.renderNodes(ReleaseTemplate.isPresent(value) ? node.children : node.otherwise, scopes);
+      }
+      if (node.type === 'each') {
+        return [].concat(ReleaseTemplate.isPresent(value) ? value : [])
+          .map(item => this.renderNodes(node.children, [{ this: item, ...(item && typeof item === 'object' ? item : {}) }, ...scopes]))
+          .join('');
+      }
+
+      return ReleaseTemplate.format(value);
+    }).join('');
+  }
+
+  /**
+   * Resolve a dotted path against the innermost scope that defines its
+   * first segment
+   */
+  lookup(node, scopes) {
+    const [head, ...rest] = node.path.split('.');
+    const scope = scopes.find(entry => Object.prototype.hasOwnProperty.call(entry, head));
+    if (!scope) {
+      throw new Error(`Unknown placeholder ${node.tag} in ${this.name}`);
+    }
+
+    return rest.reduce(
+      (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+      scope[head]
+    );
+  }
+
+  static isPresent(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value !== undefined && value !== null && value !== false && String(value).trim() !== '';
+  }
+
+  static format(value) {
+    if (Array.isArray(value)) {
+      return value.map(ReleaseTemplate.format).join(', ');
+    }
+    if (value && typeof value === 'object') {
+      return value.email || value.label || value.text || '';
+    }
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Placeholder values for a release. Section keys (issue_summary,
+   * business_impact, ...) hold section markdown from the given document.
+   */
+  static buildContext({
+    config,
+    releaseDocument = new ReleaseDocument(''),
+    releaseTitle = '',
+    releaseTag = '',
+    releaseUrl = '',
+    releaseType = '',
+    releaseDate = new Date().toISOString().split('T')[0],
+    author = '',
+    projectName = '',
+    recipients = [],
+    jiraTickets = [],
+    files = releaseDocument.getIncludedFiles().map(file => file.label)
+  }) {
+    const sections = {};
+    Object.keys(ReleaseDocument.SECTION_ALIASES).forEach(key => {
+      sections[key] = releaseDocument.getSectionMarkdown(key);
+    });
+
+    const tickets = typeof jiraTickets === 'string' ? jiraTickets.split(/[\s,]+/).filter(Boolean) : jiraTickets;
+    const productOwner = config.getProductOwner(projectName);
+
+    return {
+      ...sections,
+      release_title: releaseTitle,
+      short_title: releaseTitle.length > 50 ? `${releaseTitle.substring(0, 47)}...` : releaseTitle,
+      release_tag: releaseTag,
+      release_url: releaseUrl,
+      release_type: releaseType,
+      release_type_label: config.getReleaseTypeLabel(releaseType),
+      release_date: releaseDate,
+      author: author || 'Unknown',
+      project_name: projectName,
+      po_name: productOwner.name,
+      po_email: productOwner.email,
+      tickets,
+      jira_tickets: tickets.join(', '),
+      recipients: recipients.map(recipient => ({
+        name: recipient.name || '',
+        email: recipient.email,
+        role: recipient.role || 'to',
+        customer: recipient.customer || ''
+      })),
+      customer_emails: recipients.map(recipient => recipient.email).join(', '),
+      files: files.map(label => ({ label })),
+      file_list: files.join(', '),
+      actions: releaseDocument.getCustomerActions().map(action => ({
+        text: action.text,
+        priority: action.priority,
+        priority_label: ACTION_PRIORITY_LABELS[action.priority]
+      }))
+    };
+  }
+}
+
+ReleaseTemplate.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+ReleaseTemplate.TEMPLATE_KEYS = TEMPLATE_KEYS;
+ReleaseTemplate.ACTION_PRIORITY_LABELS = ACTION_PRIORITY_LABELS;
+
+module.exports = ReleaseTemplate;
@@ -0,0 +1,123 @@
+const { execFileSync } = require('child_process');
+
+// v1.2.3, 1.2.3, v1.2.3-rc.1 and v1.2.3+build.5
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Semantic version tags and how a release tag relates to the previous one
+ */
+class ReleaseVersion {
+  /**
+   * Parse a tag into { tag, major, minor, patch, prerelease }, or null when
+   * the tag is not semver
+   */
+  static parse(tag) {
+    const match = String(tag || '').trim().match(SEMVER_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      tag: String(tag).trim(),
+      major: Number(match[1]),
+      minor: Number(match[2]),
+      patch: Number(match[3]),
+      prerelease: match[4] || ''
+    };
+  }
+
+  /**
+   * Compare two parsed versions; prereleases sort before their release
+   */
+  static compare(a, b) {
+    for (const part of ['major', 'minor', 'patch']) {
+      if (a[part] !== b[part]) {
+        return a[part] < b[part] ? -1 : 1;
+      }
+    }
+
+    if (a.prerelease === b.prerelease) {
+      return 0;
+    }
+    if (!a.prerelease || !b.prerelease) {
+      return a.prerelease ? -1 : 1;
+    }
+    return a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true });
+  }
+
+  /**
+   * Kind of change from previous to current:
+   * 'major', 'minor', 'patch', 'none' (same version) or 'backwards'
+   */
+  static bump(previous, current) {
+    const order = ReleaseVersion.compare(previous, current);
+    if (order > 0) {
+      return 'backwards';
+    }
+    if (order === 0 || ['major', 'minor', 'patch'].every(part => previous[part] === current[part])) {
+      return 'none';
+    }
+
+    if (current.major !== previous.major) {
+      return 'major';
+    }
+    return current.minor !== previous.minor ? 'minor' : 'patch';
+  }
+
+  /**
+   * Next version after previous for a bump kind, e.g. 1.4.2 + minor -> 1.5.0
+   */
+  static next(previous, bump) {
+    if (bump === 'major') {
+      return `${previous.major + 1}.0.0`;
+    }
+    if (bump === 'minor') {
+      return `${previous.major}.${previous.minor + 1}.0`;
+    }
+    return `${previous.major}.${previous.minor}.${previous.patch + 1}`;
+  }
+
+  /**
+   * True when current jumps past the next version for its bump kind
+   */
+  static isSkip(previous, current) {
+    const bump = ReleaseVersion.bump(previous, current);
+    if (!['major', 'minor', 'patch'].includes(bump)) {
+      return false;
+    }
+
+    const expected = ReleaseVersion.parse(ReleaseVersion.next(previous, bump));
+    return ['major', 'minor', 'patch'].some(part => expected[part] !== current[part]);
+  }
+
+  /**
+   * Tags reachable from a ref in the local git history
+   */
+  static listTags(ref = 'HEAD', cwd = process.cwd()) {
+    try {
+      return execFileSync('git', ['tag', '--merged', ref], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] })
+        .split('\n')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Highest semver release tag other than the current one; prerelease tags
+   * are skipped. Returns '' when there is none.
+   */
+  static findPreviousTag(currentTag, tags = ReleaseVersion.listTags()) {
+    const current = ReleaseVersion.parse(currentTag);
+    const candidates = tags
+      .map(tag => ReleaseVersion.parse(tag))
+      .filter(version => version && !version.prerelease)
+      .filter(version => !current || version.tag !== current.tag)
+      .sort(ReleaseVersion.compare);
+
+    return candidates.length > 0 ? candidates[candidates.length - 1].tag : '';
+  }
+}
+
+module.exports = ReleaseVersion;
@@ -1,57 +1,148 @@
 #!/usr/bin/env node
 
 const core = require('@actions/core');
-const { google } = require('googleapis');
-const nodemailer = require('nodemailer');
 const retry = require('retry');
+const CssInliner = require('./css-inliner');
+const CustomerDirectory = require('./customer-directory');
+const EmailRecipients = require('./email-recipients');
+const HtmlSanitizer = require('./html-sanitizer');
+const MailTransport = require('./mail-transport');
+const MimeMessage = require('./mime-message');
+const ReleaseAssets = require('./release-assets');
+const ReleaseConfig = require('./release-config');
 
 /**
- * Gmail API integration for sending customer release emails
- * Handles OAuth2 authentication and email delivery with retry logic
+ * Sends customer release emails
+ * Delivery goes through the transport chosen by email.transport.type
+ * (Gmail API by default), with retry logic
  */
 class GmailEmailSender {
   constructor() {
-    this.clientId = process.env.GMAIL_CLIENT_ID;
-    this.clientSecret = process.env.GMAIL_CLIENT_SECRET;
-    this.refreshToken = process.env.GMAIL_REFRESH_TOKEN;
     this.fromEmail = process.env.DEFAULT_FROM_EMAIL || 'releases@pde.com';
     
     this.customerEmails = process.env.CUSTOMER_EMAILS || '';
+    this.customerRecipients = process.env.CUSTOMER_RECIPIENTS || '';
     this.emailSubject = process.env.EMAIL_SUBJECT || '';
     this.emailBody = process.env.EMAIL_BODY || '';
+    this.emailText = process.env.EMAIL_TEXT || '';
     this.releaseUrl = process.env.RELEASE_URL || '';
     this.releaseTag = process.env.RELEASE_TAG || '';
+
+    this.config = ReleaseConfig.load();
+    this.replyTo = this.config.get('email.reply_to', '');
+    this.customerDirectory = CustomerDirectory.load();
   }
 
   /**
-   * Create OAuth2 client for Gmail API
+   * Mail transport from the config, created on first use
    */
-  createOAuth2Client() {
-    return new google.auth.OAuth2(
-      this.clientId,
-      this.clientSecret,
-      'urn:ietf:wg:oauth:2.0:oob'
-    );
+  getTransport() {
+    if (!this.transport) {
+      this.transport = MailTransport.fromConfig(this.config);
+    }
+    return this.transport;
   }
 
   /**
-   * Get Gmail API client with authentication
+   * Structured recipients from the parser, or the plain customer email list
    */
-  async getGmailClient() {
-    const oauth2Client = this.createOAuth2Client();
-    
-    oauth2Client.setCredentials({
-      refresh_token: this.refreshToken
-    });
+  getRecipients() {
+    return EmailRecipients.fromEnv(this.customerRecipients, this.customerEmails);
+  }
+
+  /**
+   * Personalized greeting for a recipient
+   */
+  createGreeting(recipient) {
+    const name = HtmlSanitizer.escape(recipient.name || '');
+    return name ? `Hello ${name},` : 'Hello,';
+  }
+
+  /**
+   * Delivery format from the recipient's customer entry: 'html' or 'text'
+   */
+  getFormat(recipient) {
+    const customer = recipient.customer ? this.customerDirectory.getCustomer(recipient.customer) : null;
+    return customer && customer.format === 'text' ? 'text' : 'html';
+  }
+
+  /**
+   * Attached files, or download links with checksums when the files did
+   * not fit the attachment budget
+   */
+  createAssetsBlock() {
+    const assets = this.releaseAssets;
+    if (!assets || assets.mode === 'none') {
+      return '';
+    }
+
+    const items = assets.files.map(file => {
+      const url = HtmlSanitizer.safeUrl(file.url);
+      const name = url && assets.mode === 'linked'
+        ? `<a href="${HtmlSanitizer.escape(url)}">${HtmlSanitizer.escape(file.name)}</a>`
+        : HtmlSanitizer.escape(file.name);
+      const checksum = file.sha256 ? `<br><span class="inline-code">SHA-256: ${HtmlSanitizer.escape(file.sha256)}</span>` : '';
+      return `<li>${name} (${ReleaseAssets.formatSize(file.size)})${checksum}</li>`;
+    }).join('');
+
+    // Files from a local directory have no link of their own, so point to the release page
+    const releaseUrl = HtmlSanitizer.safeUrl(this.releaseUrl);
+    const source = releaseUrl && assets.files.some(file => !file.url)
+      ? `from the <a href="${HtmlSanitizer.escape(releaseUrl)}">release page</a>`
+      : 'here';
+    const intro = assets.mode === 'attached'
+      ? 'The release files are attached to this email.'
+      : `The release files are too large to attach. Download them ${source} and compare the SHA-256 checksums:`;
+
+    return `
+        <div class="section">
+          <h2 class="section-header">${assets.mode === 'attached' ? 'Attached Files' : 'Download Files'}</h2>
+          <div class="content">
+            <p class="paragraph">${intro}</p>
+            <ul class="file-list">${items}</ul>
+          </div>
+        </div>`;
+  }
+
+  /**
+   * Plain-text version of createAssetsBlock
+   */
+  createAssetsText() {
+    const assets = this.releaseAssets;
+    if (!assets || assets.mode === 'none') {
+      return '';
+    }
+
+    const heading = assets.mode === 'attached' ? 'Attached Files' : 'Download Files';
+    const lines = assets.files.map(file => [
+      `- ${file.name} (${ReleaseAssets.formatSize(file.size)})`,
+      ...(assets.mode === 'linked' && file.url ? [`  ${file.url}`] : []),
+      ...(file.sha256 ? [`  SHA-256: ${file.sha256}`] : [])
+    ].join('\n'));
+
+    const releasePage = assets.mode === 'linked' && this.releaseUrl && assets.files.some(file => !file.url)
+      ? [`Release page: ${this.releaseUrl}`]
+      : [];
 
-    return google.gmail({ version: 'v1', auth: oauth2Client });
+    return [`${heading}\n${'-'.repeat(heading.length)}`, ...releasePage, lines.join('\n')].join('\n\n');
   }
 
   /**
    * Create email template with professional styling
+   * The recipient may be an address string or a { name, email } object;
+   * copies holds the CC and BCC recipients for the message. Header and
+   * footer use table layout and the styles are inlined, since many mail
+   * clients ignore <style> blocks. Customers whose preferred format is
+   * text get only the plain-text part.
    */
-  createEmailTemplate(toEmail, subject, body) {
-    const htmlTemplate = `
+  createEmailTemplate(recipient, subject, body, copies = {}) {
+    const toRecipient = typeof recipient === 'string' ? { name: '', email: recipient } : recipient;
+    const assetsText = this.createAssetsText();
+    const text = this.createTextTemplate(
+      toRecipient,
+      [this.emailText || this.convertHtmlToText(body), assetsText].filter(Boolean).join('\n\n')
+    );
+    const htmlTemplate = CssInliner.inline(`
 <!DOCTYPE html>
 <html>
 <head>
@@ -67,7 +158,14 @@ class GmailEmailSender {
             margin: 0 auto; 
             padding: 20px;
         }
+        .container { 
+            max-width: 600px; 
+            font-family: Arial, sans-serif; 
+            line-height: 1.6; 
+            color: #333;
+        }
         .header { 
+            background-color: #667eea; 
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
             color: white; 
             padding: 30px 20px; 
@@ -131,6 +229,14 @@ class GmailEmailSender {
             padding: 15px; 
             margin: 15px 0;
         }
+        .customer-actions { 
+            border-left: 4px solid #e67e22; 
+        }
+        .customer-actions-priority { 
+            color: #d35400; 
+            font-size: 15px; 
+            margin: 15px 0 5px 0;
+        }
         .release-link { 
             display: inline-block; 
             background: #3498db; 
@@ -150,52 +256,88 @@ class GmailEmailSender {
             color: white; 
             padding: 20px; 
             text-align: center; 
-            border-radius: 8px; 
+            border-radius: 8px;
+        }
+        .footer-table { 
             margin-top: 20px;
         }
         .footer p { 
             margin: 5px 0; 
             font-size: 14px;
         }
+        .greeting { 
+            font-size: 16px; 
+            margin: 0 0 20px 0;
+        }
         .company-info { 
             font-size: 12px; 
             color: #bdc3c7;
         }
+        /* Kept in the <style> block; !important beats the inlined styles */
         @media only screen and (max-width: 600px) {
-            body { padding: 10px; }
-            .header h1 { font-size: 20px; }
-            .content { padding: 20px 15px; }
+            body { padding: 10px !important; }
+            .header h1 { font-size: 20px !important; }
+            .content { padding: 20px 15px !important; }
         }
     </style>
 </head>
 <body>
-    <div class="header">
-        <h1>${subject}</h1>
-    </div>
-    
-    <div class="content">
-        ${body}
-        
-        <div class="footer">
-            <p><strong>Pacific Design Engineering</strong></p>
-            <p>Reference: ${this.releaseTag}</p>
-            <p class="company-info">This is an automated notification from our release management system.</p>
-        </div>
-    </div>
+    <table role="presentation" class="container" width="100%" cellpadding="0" cellspacing="0" border="0" align="center">
+        <tr>
+            <td class="header" bgcolor="#667eea" align="center">
+                <h1>${HtmlSanitizer.escape(subject)}</h1>
+            </td>
+        </tr>
+        <tr>
+            <td class="content">
+                <p class="greeting">${this.createGreeting(toRecipient)}</p>
+                ${body}${this.createAssetsBlock()}
+
+                <table role="presentation" class="footer-table" width="100%" cellpadding="0" cellspacing="0" border="0">
+                    <tr>
+                        <td class="footer" bgcolor="#34495e" align="center">
+                            <p><strong>Pacific Design Engineering</strong></p>
+                            <p>Reference: ${HtmlSanitizer.escape(this.releaseTag)}</p>
+                            <p class="company-info">This is an automated notification from our release management system.</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
 </body>
-</html>`;
+</html>`);
 
     return {
       from: this.fromEmail,
-      to: toEmail,
+      to: EmailRecipients.format(toRecipient),
+      cc: (copies.cc || []).map(EmailRecipients.format),
+      bcc: (copies.bcc || []).map(EmailRecipients.format),
+      replyTo: this.replyTo,
       subject: subject,
-      html: htmlTemplate,
-      text: this.convertHtmlToText(htmlTemplate)
+      ...(this.getFormat(toRecipient) === 'text' ? {} : { html: htmlTemplate }),
+      text,
+      attachments: this.releaseAssets && this.releaseAssets.mode === 'attached' ? this.releaseAssets.attachments : []
     };
   }
 
   /**
-   * Convert HTML to plain text for email clients that don't support HTML
+   * Plain-text message: greeting, the text body from the content processor
+   * and the footer
+   */
+  createTextTemplate(recipient, bodyText) {
+    const footer = [
+      '--',
+      'Pacific Design Engineering',
+      `Reference: ${this.releaseTag}`,
+      'This is an automated notification from our release management system.'
+    ].join('\n');
+
+    return [recipient.name ? `Hello ${recipient.name},` : 'Hello,', bodyText.trim(), footer].join('\n\n');
+  }
+
+  /**
+   * Convert an HTML body to plain text when no EMAIL_TEXT was provided
    */
   convertHtmlToText(html) {
     // Simple HTML to text conversion
@@ -208,43 +350,14 @@ class GmailEmailSender {
   }
 
   /**
-   * Send email using Gmail API
+   * Send one email through the configured transport
+   * The message is built as multipart/alternative with the text and HTML
+   * parts, plus related or mixed parts for any attachments
    */
   async sendEmail(emailData) {
-    const gmail = await this.getGmailClient();
-    
-    // Create email message
-    const message = {
-      to: emailData.to,
-      subject: emailData.subject,
-      html: emailData.html,
-      text: emailData.text
-    };
-
-    // Encode email for Gmail API
-    const encodedMessage = Buffer.from(
-      `From: ${emailData.from}\r\n` +
-      `To: ${emailData.to}\r\n` +
-      `Subject: ${emailData.subject}\r\n` +
-      `MIME-Version: 1.0\r\n` +
-      `Content-Type: text/html; charset=utf-8\r\n` +
-      `\r\n` +
-      `${emailData.html}`
-    ).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-
     try {
-      const response = await gmail.users.messages.send({
-        userId: 'me',
-        requestBody: {
-          raw: encodedMessage
-        }
-      });
-
-      return {
-        success: true,
-        messageId: response.data.id,
-        threadId: response.data.threadId
-      };
+      const result = await this.getTransport().send(new MimeMessage(emailData));
+      return { success: true, ...result };
     } catch (error) {
       throw new Error(`Failed to send email to ${emailData.to}: ${error.message}`);
     }
@@ -270,7 +383,7 @@ class GmailEmailSender {
           console.log(`Attempt ${currentAttempt} failed: ${error.message}`);
           
           if (operation.retry(error)) {
-            console.log(`Retrying in ${operation.timeouts()[currentAttempt - 1]}ms...`);
+            console.log(`Retrying (attempt ${currentAttempt + 1} of ${maxRetries + 1})...`);
             return;
           }
           
@@ -282,9 +395,14 @@ class GmailEmailSender {
 
   /**
    * Send emails to all customers
+   * Each To recipient gets a personalized message; CC and BCC recipients are
+   * copied on the first one that is sent, so they get exactly one copy
    */
   async sendCustomerEmails() {
-    if (!this.customerEmails) {
+    const recipients = this.getRecipients();
+    const toRecipients = EmailRecipients.byRole(recipients, 'to');
+
+    if (toRecipients.length === 0) {
       console.log('No customer emails specified, skipping email sending');
       core.setOutput('status', 'skipped');
       core.setOutput('sent_count', '0');
@@ -292,18 +410,30 @@ class GmailEmailSender {
       return;
     }
 
-    const emails = this.customerEmails.split(',').map(email => email.trim());
+    // Fail fast on transport configuration errors instead of per email
+    const transport = this.getTransport();
+
+    // Attach the release files when they fit the budget, otherwise link them
+    this.releaseAssets = await ReleaseAssets.fromConfig(this.config).prepare();
+    console.log(`📎 Release files: ${this.releaseAssets.mode} (${this.releaseAssets.reason})`);
+
+    let copies = {
+      cc: EmailRecipients.byRole(recipients, 'cc'),
+      bcc: EmailRecipients.byRole(recipients, 'bcc')
+    };
     const results = {
       sent: [],
       failed: []
     };
 
-    console.log(`📧 Sending emails to ${emails.length} customer(s)...`);
+    console.log(`📧 Sending emails to ${toRecipients.length} customer(s) via ${transport.name}...`);
 
-    for (const email of emails) {
+    for (const recipient of toRecipients) {
+      const email = recipient.email;
       try {
-        const emailData = this.createEmailTemplate(email, this.emailSubject, this.emailBody);
+        const emailData = this.createEmailTemplate(recipient, this.emailSubject, this.emailBody, copies);
         const result = await this.sendEmailWithRetry(emailData);
+        copies = {};
         
         results.sent.push({
           email: email,
@@ -328,6 +458,10 @@ class GmailEmailSender {
 
     // Set GitHub Actions outputs
     core.setOutput('status', results.failed.length === 0 ? 'success' : 'partial');
+    core.setOutput('transport', transport.name);
+    core.setOutput('attachment_mode', this.releaseAssets.mode);
+    core.setOutput('attachment_reason', this.releaseAssets.reason);
+    core.setOutput('attachments', JSON.stringify(this.releaseAssets.files.map(({ name, size, sha256, url }) => ({ name, size, sha256, url }))));
     core.setOutput('sent_count', results.sent.length.toString());
     core.setOutput('failed_count', results.failed.length.toString());
     core.setOutput('sent_emails', results.sent.map(r => r.email).join(','));
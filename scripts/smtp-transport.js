@@ -0,0 +1,70 @@
+const nodemailer = require('nodemailer');
+const EmailRecipients = require('./email-recipients');
+
+/**
+ * Mail transport for a generic SMTP server such as the on-prem relay
+ */
+class SmtpTransport {
+  constructor({ host, port = 587, secure = false, user = '', password = '', ignoreTls = false } = {}) {
+    if (!host) {
+      throw new Error('SMTP transport requires a host (email.transport.smtp.host or SMTP_HOST)');
+    }
+
+    this.name = 'smtp';
+    this.options = {
+      host,
+      port: Number(port),
+      secure: secure === true || secure === 'true',
+      ignoreTLS: ignoreTls === true || ignoreTls === 'true',
+      ...(user ? { auth: { user, pass: password } } : {})
+    };
+  }
+
+  /**
+   * Settings from email.transport.smtp, overridden by SMTP_HOST, SMTP_PORT,
+   * SMTP_SECURE, SMTP_USER and SMTP_PASSWORD
+   */
+  static fromConfig(config, env = process.env) {
+    const settings = config.get('email.transport.smtp', {});
+
+    return new SmtpTransport({
+      host: env.SMTP_HOST || settings.host,
+      port: env.SMTP_PORT || settings.port,
+      secure: env.SMTP_SECURE || settings.secure,
+      ignoreTls: settings.ignore_tls,
+      user: env.SMTP_USER || settings.user,
+      password: env.SMTP_PASSWORD || ''
+    });
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport(this.options);
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send a MimeMessage. The envelope carries every recipient, so the Bcc
+   * header is left out of the message itself.
+   */
+  async send(message) {
+    const { from, to, cc, bcc } = message.fields;
+    const addresses = value => [].concat(value || []).flatMap(entry => EmailRecipients.parse(entry)).map(entry => entry.email);
+
+    const info = await this.getTransporter().sendMail({
+      envelope: {
+        from: addresses(from)[0],
+        to: [...addresses(to), ...addresses(cc), ...addresses(bcc)]
+      },
+      raw: await message.build({ keepBcc: false })
+    });
+
+    return {
+      messageId: info.messageId || message.messageId,
+      rfcMessageId: message.messageId
+    };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -3,6 +3,11 @@
 const core = require('@actions/core');
 const axios = require('axios');
 const retry = require('retry');
+const EmailRecipients = require('./email-recipients');
+const MarkdownToAdf = require('./markdown-to-adf');
+const ReleaseConfig = require('./release-config');
+const ReleaseDocument = require('./release-document');
+const ReleaseTemplate = require('./release-template');
 
 /**
  * Jira API integration for updating tickets with release information
@@ -18,9 +23,16 @@ class JiraTicketUpdater {
     this.releaseTitle = process.env.RELEASE_TITLE || '';
     this.releaseUrl = process.env.RELEASE_URL || '';
     this.releaseTag = process.env.RELEASE_TAG || '';
+    this.releaseType = process.env.RELEASE_TYPE || '';
+    this.releaseAuthor = process.env.RELEASE_AUTHOR || '';
     this.businessImpact = process.env.BUSINESS_IMPACT || '';
     this.technicalChanges = process.env.TECHNICAL_CHANGES || '';
     this.customerEmails = process.env.CUSTOMER_EMAILS || '';
+    this.customerRecipients = process.env.CUSTOMER_RECIPIENTS || '';
+    this.fileManifest = process.env.FILE_MANIFEST || '';
+    this.releaseBody = process.env.RELEASE_BODY || '';
+    this.projectName = process.env.PROJECT_NAME || '';
+    this.config = ReleaseConfig.load();
   }
 
   /**
@@ -41,111 +53,60 @@ class JiraTicketUpdater {
   }
 
   /**
-   * Generate Jira comment content
+   * Placeholder values for jira.comment_template; BUSINESS_IMPACT and
+   * TECHNICAL_CHANGES from the parser fill in when the body lacks them
    */
-  generateJiraComment() {
-    const comment = {
-      body: {
-        type: "doc",
-        version: 1,
-        content: [
-          {
-            type: "paragraph",
-            content: [
-              {
-                type: "text",
-                text: `🚀 Released to Customer: ${this.releaseTitle}`,
-                marks: [{ type: "strong" }]
-              }
-            ]
-          },
-          {
-            type: "paragraph",
-            content: [
-              {
-                type: "text",
-                text: `\nBusiness Impact: ${this.businessImpact || 'Not specified'}`
-              }
-            ]
-          },
-          {
-            type: "paragraph",
-            content: [
-              {
-                type: "text",
-                text: `\nTechnical Changes: ${this.technicalChanges || 'Not specified'}`
-              }
-            ]
-          },
-          {
-            type: "paragraph",
-            content: [
-              {
-                type: "text",
-                text: `\n📎 Release Package: ${this.generateFileListText()}`
-              }
-            ]
-          },
-          {
-            type: "paragraph",
-            content: [
-              {
-                type: "text",
-                text: `\n🔗 Release Details: `,
-                marks: [{ type: "strong" }]
-              },
-              {
-                type: "inlineCard",
-                attrs: {
-                  url: this.releaseUrl
-                }
-              }
-            ]
-          },
-          {
-            type: "paragraph",
-            content: [
-              {
-                type: "text",
-                text: `📧 Customer Email: Sent to ${this.customerEmails || 'No emails specified'}`
-              }
-            ]
-          },
-          {
-            type: "paragraph",
-            content: [
-              {
-                type: "text",
-                text: `\n📅 Release Date: ${new Date().toISOString().split('T')[0]}`,
-                marks: [{ type: "em" }]
-              }
-            ]
-          }
-        ]
-      }
-    };
+  buildTemplateContext() {
+    const context = ReleaseTemplate.buildContext({
+      config: this.config,
+      releaseDocument: new ReleaseDocument(this.releaseBody),
+      releaseTitle: this.releaseTitle,
+      releaseTag: this.releaseTag,
+      releaseUrl: this.releaseUrl,
+      releaseType: this.releaseType,
+      author: this.releaseAuthor,
+      projectName: this.projectName,
+      recipients: EmailRecipients.fromEnv(this.customerRecipients, this.customerEmails),
+      jiraTickets: this.jiraTickets,
+      files: this.getIncludedFiles()
+    });
 
-    return comment;
+    context.business_impact = context.business_impact || this.businessImpact;
+    context.technical_changes = context.technical_changes || this.technicalChanges;
+    return context;
   }
 
   /**
-   * Generate file list text for Jira comment
+   * Generate Jira comment content from jira.comment_template as ADF
    */
-  generateFileListText() {
-    const filePatterns = [
-      { pattern: /\[ \] Updated drawings \(PDF\)/i, label: 'Updated drawings (PDF)' },
-      { pattern: /\[ \] 3D models \(STEP\/SolidWorks\)/i, label: '3D models (STEP/SolidWorks)' },
-      { pattern: /\[ \] Documentation updates/i, label: 'Documentation updates' },
-      { pattern: /\[ \] Test results/i, label: 'Test results' }
-    ];
+  generateJiraComment() {
+    const text = ReleaseTemplate.fromConfig(this.config, 'jira.comment_template')
+      .render(this.buildTemplateContext());
+
+    return { body: MarkdownToAdf.convert(text) };
+  }
 
-    const files = [];
-    for (const filePattern of filePatterns) {
-      if (this.businessImpact.match(filePattern.pattern) || this.technicalChanges.match(filePattern.pattern)) {
-        files.push(filePattern.label);
+  /**
+   * Included files from the parser's file manifest (JSON or comma-separated),
+   * falling back to the checked "Files Included" items in the release body
+   */
+  getIncludedFiles() {
+    if (this.fileManifest) {
+      try {
+        return JSON.parse(this.fileManifest);
+      } catch {
+        return this.fileManifest.split(',').map(file => file.trim()).filter(Boolean);
       }
     }
 
+    return new ReleaseDocument(this.releaseBody).getIncludedFiles().map(file => file.label);
+  }
+
+  /**
+   * Generate file list text for Jira comment
+   */
+  generateFileListText() {
+    const files = this.getIncludedFiles();
     return files.length > 0 ? files.join(', ') : 'No specific files';
   }
 
@@ -203,11 +164,10 @@ class JiraTicketUpdater {
   }
 
   /**
-   * Validate Jira ticket format
+   * Validate Jira ticket format and project key against release_config.yml
    */
   isValidJiraTicket(ticket) {
-    const ticketRegex = /^PDE-\d+$/;
-    return ticketRegex.test(ticket);
+    return this.config.isValidJiraTicket(ticket, this.projectName);
   }
 
   /**
@@ -1,39 +1,301 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
 const core = require('@actions/core');
+const CustomerDirectory = require('./customer-directory');
+const EmailRecipients = require('./email-recipients');
+const InternalContent = require('./internal-content');
+const ReleaseConfig = require('./release-config');
+const RecipientScreening = require('./recipient-screening');
+const ReleaseDocument = require('./release-document');
+const ReleaseTemplate = require('./release-template');
+const ReleaseVersion = require('./release-version');
+
+const REPOSITORY_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_PLACEHOLDER_TEMPLATES = ['.github/RELEASE_TEMPLATE.md', 'release_template.md'];
 
 /**
  * Validate release data to ensure it meets requirements
  * Checks for required fields, proper formatting, and completeness
  */
 class ReleaseValidator {
-  constructor() {
-    this.customerEmails = process.env.CUSTOMER_EMAILS || '';
-    this.jiraTickets = process.env.JIRA_TICKETS || '';
-    this.releaseType = process.env.RELEASE_TYPE || '';
+  /**
+   * Inputs default to the environment set by the workflow; options override
+   * them for local use (see release-lint.js)
+   */
+  constructor(options = {}) {
+    const settings = {
+      customerEmails: process.env.CUSTOMER_EMAILS || '',
+      customerRecipients: process.env.CUSTOMER_RECIPIENTS || '',
+      customerGroups: process.env.CUSTOMER_GROUPS || '',
+      jiraTickets: process.env.JIRA_TICKETS || '',
+      releaseType: process.env.RELEASE_TYPE || '',
+      projectName: process.env.PROJECT_NAME || '',
+      releaseTitle: process.env.RELEASE_TITLE || '',
+      releaseTag: process.env.RELEASE_TAG || '',
+      previousTag: process.env.PREVIOUS_TAG || '',
+      declaredReleaseType: process.env.DECLARED_RELEASE_TYPE || '',
+      ...options
+    };
+
+    this.customerEmails = settings.customerEmails;
+    this.customerRecipients = settings.customerRecipients;
+    this.customerGroups = settings.customerGroups;
+    this.jiraTickets = settings.jiraTickets;
+    this.releaseType = settings.releaseType;
+    this.projectName = settings.projectName;
+    this.releaseTitle = settings.releaseTitle;
+    this.releaseTag = settings.releaseTag;
+    this.previousTag = settings.previousTag;
+    this.declaredReleaseType = settings.declaredReleaseType;
+    this.releaseBody = settings.releaseBody;
+    this.config = settings.config || ReleaseConfig.load();
+    this.customerDirectory = settings.customerDirectory || CustomerDirectory.load();
+  }
+
+  /**
+   * Release body given to the constructor, or RELEASE_BODY at call time
+   */
+  getReleaseBody() {
+    return this.releaseBody !== undefined ? this.releaseBody : process.env.RELEASE_BODY || '';
+  }
+
+  /**
+   * Parsed release document for the current body; throws on invalid front
+   * matter
+   */
+  getReleaseDocument() {
+    const releaseBody = this.getReleaseBody();
+    if (!this.releaseDocument || this.releaseDocument.source !== releaseBody) {
+      this.releaseDocument = new ReleaseDocument(releaseBody);
+    }
+    return this.releaseDocument;
+  }
+
+  /**
+   * Build an annotation placed at a line number, or at the first occurrence
+   * of a text in the release body. Annotations without a match carry no line.
+   */
+  annotate(title, message, location) {
+    const properties = { title };
+
+    if (typeof location === 'number') {
+      properties.startLine = location;
+      properties.startColumn = 1;
+    } else if (location) {
+      const lines = this.getReleaseBody().replace(/\r\n?/g, '\n').split('\n');
+      const index = lines.findIndex(line => line.includes(location));
+      if (index !== -1) {
+        properties.startLine = index + 1;
+        properties.startColumn = lines[index].indexOf(location) + 1;
+      }
+    }
+
+    return { message, properties };
+  }
+
+  /**
+   * Structured recipients from the parser, or the plain customer email list
+   */
+  getRecipients() {
+    return EmailRecipients.fromEnv(this.customerRecipients, this.customerEmails);
   }
 
   /**
    * Validate customer emails format and presence
    */
-  validateCustomerEmails() {
-    if (!this.customerEmails) {
+  validateCustomerEmails(releaseDocument = this.getReleaseDocument()) {
+    let recipients;
+    try {
+      recipients = this.getRecipients();
+    } catch (error) {
+      return { valid: false, error: `Invalid customer recipients: ${error.message}` };
+    }
+
+    if (EmailRecipients.byRole(recipients, 'to').length === 0) {
       return { valid: false, error: 'No customer emails found in release' };
     }
 
-    const emails = this.customerEmails.split(',').map(email => email.trim());
-    const invalidEmails = emails.filter(email => !this.isValidEmail(email));
+    const invalidEmails = recipients
+      .filter(recipient => !this.isValidEmail(recipient.email))
+      .map(recipient => recipient.email);
 
     if (invalidEmails.length > 0) {
       return { 
         valid: false, 
-        error: `Invalid email format(s): ${invalidEmails.join(', ')}` 
+        error: `Invalid email format(s): ${invalidEmails.join(', ')}`,
+        annotations: invalidEmails.map(email =>
+          this.annotate('Invalid email format', `Invalid email format: ${email}`, email))
+      };
+    }
+
+    const { blocked, overridden } = this.checkEmailDomains(recipients, releaseDocument);
+
+    if (blocked.length > 0) {
+      return {
+        valid: false,
+        error: `Recipient(s) outside the allowed email domains: ${blocked.join(', ')} ` +
+          '(add "Override-Domain-Check: <domain or address>" to the release body to send anyway)',
+        blockedEmails: blocked,
+        annotations: blocked.map(email =>
+          this.annotate('Blocked email domain', `Recipient outside the allowed email domains: ${email}`, email))
+      };
+    }
+
+    if (overridden.length > 0) {
+      return {
+        valid: true,
+        warning: `Domain check overridden for: ${overridden.join(', ')}`
       };
     }
 
     return { valid: true };
   }
 
+  /**
+   * Customer keys named by the release
+   */
+  getCustomerGroups() {
+    return this.customerGroups
+      .split(',')
+      .map(group => group.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Customer a recipient belongs to: the customer it was expanded from, or
+   * the named customer listing the address as a contact or known recipient
+   */
+  getRecipientCustomer(recipient) {
+    if (recipient.customer) {
+      return this.customerDirectory.getCustomer(recipient.customer);
+    }
+
+    const email = String(recipient.email || '').toLowerCase();
+    return this.getCustomerGroups()
+      .map(key => this.customerDirectory.getCustomer(key))
+      .find(customer => customer && [
+        ...customer.contacts.map(contact => contact.email),
+        ...customer.knownRecipients
+      ].some(address => String(address || '').trim().toLowerCase() === email)) || null;
+  }
+
+  /**
+   * Domains a recipient may use: security.allowed_email_domains plus the
+   * allowed_domains of the recipient's own customer. Returns null when no
+   * allowlist is configured.
+   */
+  getAllowedDomains(recipient) {
+    const globalDomains = this.config.get('security.allowed_email_domains', []);
+    if (globalDomains.length === 0) {
+      return null;
+    }
+
+    const customer = this.getRecipientCustomer(recipient);
+    const customerDomains = customer ? customer.allowedDomains : [];
+
+    return [...globalDomains, ...customerDomains].map(domain => String(domain).trim().toLowerCase());
+  }
+
+  /**
+   * Domains and addresses acknowledged with "Override-Domain-Check:" in the
+   * release body (or override_domain_check in front matter)
+   */
+  getDomainOverrides(releaseDocument = this.getReleaseDocument()) {
+    const frontMatterValue = releaseDocument.getFrontMatterValue('override_domain_check');
+    const value = frontMatterValue !== undefined && frontMatterValue !== null
+      ? [].concat(frontMatterValue).join(',')
+      : releaseDocument.getField(['Override-Domain-Check', 'Override Domain Check']);
+
+    return String(value || '')
+      .split(/[\s,;]+/)
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Split recipients outside the allowlist into blocked and acknowledged
+   */
+  checkEmailDomains(recipients, releaseDocument = this.getReleaseDocument()) {
+    const overrides = this.getDomainOverrides(releaseDocument);
+    const blocked = [];
+    const overridden = [];
+
+    for (const recipient of recipients) {
+      const allowedDomains = this.getAllowedDomains(recipient);
+      const email = recipient.email.toLowerCase();
+      const domain = email.split('@').pop();
+
+      if (!allowedDomains || allowedDomains.some(allowed => ReleaseValidator.matchesDomain(domain, allowed))) {
+        continue;
+      }
+
+      const acknowledged = overrides.some(entry => entry === email || ReleaseValidator.matchesDomain(domain, entry));
+      (acknowledged ? overridden : blocked).push(recipient.email);
+    }
+
+    return { blocked, overridden };
+  }
+
+  /**
+   * True when a domain equals an allowed domain or is one of its subdomains
+   */
+  static matchesDomain(domain, allowed) {
+    return domain === allowed || domain.endsWith(`.${allowed}`);
+  }
+
+  /**
+   * Validate that every named customer group exists in customers.yml
+   */
+  validateCustomerGroups() {
+    const groups = this.getCustomerGroups();
+    const unknownGroups = groups.filter(group => !this.customerDirectory.has(group));
+
+    if (unknownGroups.length > 0) {
+      const knownGroups = this.customerDirectory.getKeys();
+      return {
+        valid: false,
+        error: `Unknown customer group(s): ${unknownGroups.join(', ')}` +
+          (knownGroups.length > 0 ? ` (known groups: ${knownGroups.join(', ')})` : ' (customers.yml has no groups)')
+      };
+    }
+
+    const emptyGroups = groups.filter(group => this.customerDirectory.expand(group).length === 0);
+    if (emptyGroups.length > 0) {
+      return { valid: true, warning: `Customer group(s) without contacts: ${emptyGroups.join(', ')}` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Screen recipients for typo domains, role accounts, personal webmail,
+   * near-duplicates and first-time addresses
+   */
+  validateRecipientRisk(releaseDocument = this.getReleaseDocument()) {
+    let recipients;
+    try {
+      recipients = this.getRecipients();
+    } catch (error) {
+      // Reported by validateCustomerEmails
+      return { valid: true };
+    }
+
+    const screening = RecipientScreening.fromConfig(this.config, this.customerDirectory, this.getDomainOverrides(releaseDocument));
+    const { errors, warnings } = screening.screen(recipients);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warning: warnings.length > 0 ? warnings.join('; ') : undefined,
+      annotations: errors.map(error => {
+        const recipient = recipients.find(entry => error.includes(entry.email));
+        return this.annotate('Suspicious recipient', error, recipient && recipient.email);
+      })
+    };
+  }
+
   /**
    * Validate Jira tickets format
    */
@@ -47,9 +309,13 @@ class ReleaseValidator {
     const invalidTickets = tickets.filter(ticket => !this.isValidJiraTicket(ticket));
 
     if (invalidTickets.length > 0) {
+      const keys = this.config.getJiraProjectKeys(this.projectName);
       return { 
         valid: false, 
-        error: `Invalid Jira ticket format(s): ${invalidTickets.join(', ')}` 
+        error: `Invalid Jira ticket format(s): ${invalidTickets.join(', ')}` +
+          (keys.length > 0 ? ` (allowed project keys: ${keys.join(', ')})` : ''),
+        annotations: invalidTickets.map(ticket =>
+          this.annotate('Invalid Jira ticket', `Invalid Jira ticket: ${ticket}`, ticket))
       };
     }
 
@@ -60,7 +326,7 @@ class ReleaseValidator {
    * Validate release type
    */
   validateReleaseType() {
-    const validTypes = ['major', 'minor', 'bugfix', 'documentation', 'update'];
+    const validTypes = this.config.getReleaseTypes().map(type => type.key);
     
     if (!this.releaseType) {
       return { valid: false, error: 'Release type could not be determined' };
@@ -76,19 +342,92 @@ class ReleaseValidator {
     return { valid: true };
   }
 
+  /**
+   * Validate the declared release type: the template's option list must be
+   * replaced by exactly one type
+   */
+  validateDeclaredReleaseType(releaseDocument = this.getReleaseDocument()) {
+    const frontMatterValue = releaseDocument.getFrontMatterValue('type');
+    const value = frontMatterValue !== undefined && frontMatterValue !== null
+      ? frontMatterValue
+      : releaseDocument.getField('Release Type');
+    const declared = this.config.parseDeclaredReleaseType(value);
+
+    let error = null;
+    if (declared.placeholder) {
+      error = `Release Type still contains the template placeholder (${declared.values.join(' | ')}); choose one`;
+    } else if (declared.types.length > 1) {
+      error = `Release Type lists several types (${declared.values.join(', ')}); choose one`;
+    }
+
+    if (!error) {
+      return { valid: true };
+    }
+
+    const location = typeof value === 'string' ? value : 'Release Type';
+    return {
+      valid: false,
+      error,
+      annotations: [this.annotate('Release type', error, location)]
+    };
+  }
+
+  /**
+   * Compare a semver tag with the previous release tag: reject tags that go
+   * backwards or skip versions, and flag a release type that does not fit
+   */
+  validateVersion() {
+    const current = ReleaseVersion.parse(this.releaseTag);
+    const previous = ReleaseVersion.parse(this.previousTag);
+    if (!current || current.prerelease || !previous) {
+      return { valid: true };
+    }
+
+    const bump = ReleaseVersion.bump(previous, current);
+    const prefix = current.tag.startsWith('v') ? 'v' : '';
+
+    if (['backwards', 'none'].includes(bump) && this.config.get('versioning.reject_backwards', true)) {
+      return {
+        valid: false,
+        error: `Tag ${current.tag} is not newer than the previous release tag ${previous.tag}`
+      };
+    }
+
+    if (ReleaseVersion.isSkip(previous, current) && this.config.get('versioning.reject_skips', true)) {
+      return {
+        valid: false,
+        error: `Tag ${current.tag} skips versions after ${previous.tag} ` +
+          `(expected ${prefix}${ReleaseVersion.next(previous, bump)})`
+      };
+    }
+
+    const releaseType = this.declaredReleaseType || this.releaseType;
+    if (['major', 'minor', 'patch'].includes(bump) && !this.config.allowsVersionBump(releaseType, bump)) {
+      return {
+        valid: true,
+        warning: `Release type '${releaseType}' does not match the ${bump} version bump ` +
+          `from ${previous.tag} to ${current.tag}`
+      };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Check if release has minimum required content
    */
-  validateReleaseContent() {
-    const releaseBody = process.env.RELEASE_BODY || '';
+  validateReleaseContent(releaseDocument = this.getReleaseDocument()) {
+    const releaseBody = this.getReleaseBody();
     
     if (!releaseBody.trim()) {
       return { valid: false, error: 'Release body is empty' };
     }
 
-    // Check for business impact or technical changes sections
-    const hasBusinessImpact = /## Business Impact|Business Impact:|What's New:/i.test(releaseBody);
-    const hasTechnicalChanges = /## Technical Changes|Technical Changes:|Changes Made:/i.test(releaseBody);
+    // Check for business impact or technical changes sections, under any
+    // heading or field label the release document accepts for them
+    const hasSection = key => Boolean(releaseDocument.getSection(key) || releaseDocument.findField(releaseDocument.resolveAliases(key)));
+    const hasBusinessImpact = hasSection('business_impact');
+    const hasTechnicalChanges = hasSection('technical_changes');
 
     if (!hasBusinessImpact && !hasTechnicalChanges) {
       return { 
@@ -100,6 +439,265 @@ class ReleaseValidator {
     return { valid: true };
   }
 
+  /**
+   * Content of a configured field: its section, its "Label:" value or its
+   * front matter key. Release Title and Customer Email(s) also come from the
+   * release name and the parsed recipients.
+   */
+  getFieldContent(releaseDocument, label) {
+    const key = ReleaseDocument.toKey(label);
+
+    if (key === 'release_title' && this.releaseTitle.trim()) {
+      return this.releaseTitle.trim();
+    }
+    if (key.startsWith('customer_email') && (this.customerEmails || this.customerRecipients)) {
+      return this.customerEmails || this.customerRecipients;
+    }
+
+    if (releaseDocument.getSection(label)) {
+      return releaseDocument.getSectionMarkdown(label);
+    }
+
+    const field = releaseDocument.findField(label);
+    if (field) {
+      return field.value.trim();
+    }
+
+    const frontMatterValue = releaseDocument.getFrontMatterValue(key);
+    return frontMatterValue === undefined || frontMatterValue === null ? null : String(frontMatterValue).trim();
+  }
+
+  /**
+   * Enforce required_fields, optional_fields and the validation length
+   * limits from release_config.yml
+   */
+  validateFieldRules(releaseDocument = this.getReleaseDocument()) {
+    if (!this.getReleaseBody().trim()) {
+      return { valid: true };
+    }
+
+    const releaseType = this.config.getReleaseType(this.releaseType);
+    const requiredFields = Array.from(new Set([
+      ...this.config.get('required_fields', []),
+      ...(releaseType ? releaseType.requiredSections : [])
+    ]));
+    const optionalFields = this.config.get('optional_fields', []);
+    const minLengths = this.config.get('validation.min_content_length', {});
+    const maxLengths = this.config.get('validation.max_content_length', {});
+    const errors = [];
+    const warnings = [];
+    const annotations = [];
+
+    for (const label of requiredFields) {
+      const content = this.getFieldContent(releaseDocument, label);
+      if (!content) {
+        const error = `Required field '${label}' is missing or empty`;
+        errors.push(error);
+        annotations.push(this.annotate('Missing required field', error));
+      }
+    }
+
+    for (const label of optionalFields) {
+      const content = this.getFieldContent(releaseDocument, label);
+      if (content === '') {
+        warnings.push(`Optional field '${label}' is present but empty`);
+      }
+    }
+
+    // Length limits apply to every configured field that has content
+    const labels = new Map();
+    [...requiredFields, ...optionalFields, ...Object.keys(minLengths), ...Object.keys(maxLengths)]
+      .forEach(label => {
+        const key = ReleaseDocument.toKey(label);
+        if (!labels.has(key)) {
+          labels.set(key, label);
+        }
+      });
+
+    for (const [key, label] of labels) {
+      const content = this.getFieldContent(releaseDocument, label);
+      if (!content) {
+        continue;
+      }
+
+      const min = minLengths[key];
+      const max = maxLengths[key];
+      const section = releaseDocument.getSection(label);
+      const field = section ? null : releaseDocument.findField(label);
+      const line = section ? section.line : field && field.line;
+      const lengthErrors = [];
+      if (min !== undefined && content.length < min) {
+        lengthErrors.push(`'${label}' is too short (${content.length} characters, minimum ${min})`);
+      }
+      if (max !== undefined && content.length > max) {
+        lengthErrors.push(`'${label}' is too long (${content.length} characters, maximum ${max})`);
+      }
+      errors.push(...lengthErrors);
+      annotations.push(...lengthErrors.map(error => this.annotate('Content length', error, line)));
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warning: warnings.length > 0 ? warnings.join('; ') : undefined,
+      annotations
+    };
+  }
+
+  /**
+   * Collect the [placeholder] texts used by the release templates
+   */
+  loadTemplatePlaceholders() {
+    const templates = this.config.get('validation.placeholder_templates', DEFAULT_PLACEHOLDER_TEMPLATES);
+    const placeholders = new Set();
+
+    for (const template of templates) {
+      const templatePath = path.resolve(REPOSITORY_ROOT, template);
+      if (!fs.existsSync(templatePath)) {
+        continue;
+      }
+
+      const templateBody = fs.readFileSync(templatePath, 'utf8');
+      for (const match of templateBody.matchAll(/\[([^[\]\n]+)\](?!\()/g)) {
+        if (!/^\s*[xX]?\s*$/.test(match[1])) {
+          placeholders.add(match[0]);
+        }
+      }
+
+      // Image targets such as "(image-url)" that are not real links
+      new ReleaseDocument(templateBody).getImages()
+        .filter(image => !/[:/.]/.test(image.href))
+        .forEach(image => placeholders.add(`](${image.href})`));
+    }
+
+    return [...placeholders];
+  }
+
+  /**
+   * Locate template placeholders left in the release body
+   * Placeholders on unchecked checklist items are ignored
+   */
+  findTemplatePlaceholders(releaseBody, releaseDocument = new ReleaseDocument(releaseBody)) {
+    const placeholders = this.loadTemplatePlaceholders();
+    const found = [];
+
+    releaseBody.replace(/\r\n?/g, '\n').split('\n').forEach((text, index) => {
+      if (/^\s*(?:[-*+]|\d+\.)\s+\[\s*\]/.test(text)) {
+        return;
+      }
+
+      for (const placeholder of placeholders) {
+        let column = text.indexOf(placeholder);
+        while (column !== -1) {
+          const line = index + 1;
+          const section = releaseDocument.getSectionAtLine(line);
+          found.push({
+            placeholder: placeholder.startsWith('](') ? placeholder.slice(1) : placeholder,
+            line,
+            column: column + 1,
+            section: section ? section.title : 'Release header'
+          });
+          column = text.indexOf(placeholder, column + placeholder.length);
+        }
+      }
+    });
+
+    return found.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Fail when template placeholder text was not replaced
+   */
+  validateTemplatePlaceholders(releaseDocument = this.getReleaseDocument()) {
+    const placeholders = this.findTemplatePlaceholders(this.getReleaseBody(), releaseDocument);
+
+    if (placeholders.length === 0) {
+      return { valid: true };
+    }
+
+    const details = placeholders.map(
+      entry => `${entry.placeholder} in "${entry.section}" (line ${entry.line})`
+    );
+
+    return {
+      valid: false,
+      error: `Unfilled template placeholder(s): ${details.join(', ')}`,
+      annotations: placeholders.map(entry => ({
+        message: `Unfilled template placeholder ${entry.placeholder} in "${entry.section}"`,
+        properties: {
+          title: 'Unfilled template placeholder',
+          startLine: entry.line,
+          startColumn: entry.column
+        }
+      }))
+    };
+  }
+
+  /**
+   * Report internal-only content withheld from customers; an unclosed
+   * <!-- internal --> block fails because it hides the rest of the body
+   */
+  validateInternalContent(releaseDocument = this.getReleaseDocument()) {
+    const releaseBody = this.getReleaseBody();
+    if (!releaseBody.trim()) {
+      return { valid: true, redactions: [] };
+    }
+
+    const redactions = InternalContent.fromConfig(this.config).find(releaseBody, releaseDocument);
+    const result = { valid: true, redactions };
+
+    if (redactions.length > 0) {
+      const details = redactions.map(entry => entry.kind === 'section'
+        ? `"${entry.label}" (lines ${entry.startLine}-${entry.endLine})`
+        : `internal block (lines ${entry.startLine}-${entry.endLine})`);
+      result.warning = `Internal content withheld from customers: ${details.join(', ')}`;
+    }
+
+    const unclosed = redactions.find(entry => !entry.closed);
+    if (unclosed) {
+      const error = `Internal block opened on line ${unclosed.startLine} is never closed with <!-- /internal -->`;
+      result.valid = false;
+      result.error = error;
+      result.annotations = [this.annotate('Internal content', error, unclosed.startLine)];
+    }
+
+    return result;
+  }
+
+  /**
+   * Render every configured template against this release so unknown
+   * placeholders and unbalanced blocks fail before anything is sent
+   */
+  validateTemplates(releaseDocument = this.getReleaseDocument()) {
+    let context;
+    try {
+      context = ReleaseTemplate.buildContext({
+        config: this.config,
+        releaseDocument,
+        releaseTitle: this.releaseTitle,
+        releaseTag: this.releaseTag,
+        releaseType: this.releaseType,
+        projectName: this.projectName,
+        recipients: this.getRecipients(),
+        jiraTickets: this.jiraTickets
+      });
+    } catch (error) {
+      // Recipient errors are reported by validateCustomerEmails
+      return { valid: true };
+    }
+
+    const errors = [];
+    for (const key of ReleaseTemplate.TEMPLATE_KEYS) {
+      try {
+        ReleaseTemplate.fromConfig(this.config, key).render(context);
+      } catch (error) {
+        errors.push(`Template error: ${error.message}`);
+      }
+    }
+
+    return errors.length > 0 ? { valid: false, errors } : { valid: true };
+  }
+
   /**
    * Validate email format
    */
@@ -109,38 +707,102 @@ class ReleaseValidator {
   }
 
   /**
-   * Validate Jira ticket format (PDE-123)
+   * Validate Jira ticket format and project key against release_config.yml
    */
   isValidJiraTicket(ticket) {
-    const ticketRegex = /^PDE-\d+$/;
-    return ticketRegex.test(ticket);
+    return this.config.isValidJiraTicket(ticket, this.projectName);
   }
 
   /**
-   * Perform comprehensive validation
+   * Run every validation without touching GitHub Actions outputs
+   * The body is parsed once; when its front matter is invalid that is
+   * reported and the checks that read the document are skipped.
    */
-  validate() {
+  check() {
+    let releaseDocument = null;
+    let documentValidation = { valid: true };
+    try {
+      releaseDocument = this.getReleaseDocument();
+    } catch (error) {
+      documentValidation = {
+        valid: false,
+        error: error.message,
+        annotations: [this.annotate('Invalid front matter', error.message, 1)]
+      };
+    }
+
+    const withDocument = validation => (releaseDocument ? validation(releaseDocument) : { valid: true });
     const validations = [
-      this.validateCustomerEmails(),
+      documentValidation,
+      withDocument(document => this.validateCustomerEmails(document)),
+      this.validateCustomerGroups(),
+      withDocument(document => this.validateRecipientRisk(document)),
       this.validateJiraTickets(),
       this.validateReleaseType(),
-      this.validateReleaseContent()
+      withDocument(document => this.validateDeclaredReleaseType(document)),
+      this.validateVersion(),
+      withDocument(document => this.validateReleaseContent(document)),
+      withDocument(document => this.validateFieldRules(document)),
+      withDocument(document => this.validateTemplatePlaceholders(document)),
+      withDocument(document => this.validateInternalContent(document)),
+      withDocument(document => this.validateTemplates(document))
     ];
 
     const errors = [];
     const warnings = [];
+    const blockedEmails = [];
+    const redactions = [];
+    const annotations = [];
+    const problems = [];
     let isValid = true;
 
     for (const validation of validations) {
       if (!validation.valid) {
-        errors.push(validation.error);
+        const validationErrors = validation.errors || [validation.error];
+        errors.push(...validationErrors);
         isValid = false;
+
+        // Annotations give each error its own line and column when known
+        const validationAnnotations = validation.annotations ||
+          validationErrors.map(error => this.annotate('Release validation', error));
+        annotations.push(...validationAnnotations);
+        validationAnnotations.forEach(annotation => problems.push({
+          severity: 'error',
+          message: annotation.message,
+          line: annotation.properties.startLine || null,
+          column: annotation.properties.startColumn || null
+        }));
       }
       if (validation.warning) {
         warnings.push(validation.warning);
+        problems.push({ severity: 'warning', message: validation.warning, line: null, column: null });
       }
+      blockedEmails.push(...(validation.blockedEmails || []));
+      redactions.push(...(validation.redactions || []));
     }
 
+    return {
+      isValid,
+      errors,
+      warnings,
+      blockedEmails,
+      redactions,
+      annotations,
+      problems
+    };
+  }
+
+  /**
+   * Perform comprehensive validation
+   */
+  validate() {
+    const result = this.check();
+    const { isValid, errors, warnings, blockedEmails, redactions } = result;
+
+    result.annotations
+      .filter(annotation => annotation.properties.startLine)
+      .forEach(annotation => core.error(annotation.message, annotation.properties));
+
     // Set GitHub Actions outputs
     core.setOutput('is_valid', isValid ? 'true' : 'false');
     
@@ -152,6 +814,12 @@ class ReleaseValidator {
       core.setOutput('validation_warnings', warnings.join('; '));
     }
 
+    if (blockedEmails.length > 0) {
+      core.setOutput('blocked_emails', blockedEmails.join(','));
+    }
+
+    core.setOutput('redacted_content', JSON.stringify(redactions));
+
     // Log validation results
     console.log('🔍 Release Validation Results:');
     console.log(`  Valid: ${isValid ? '✅ Yes' : '❌ No'}`);
@@ -170,11 +838,7 @@ class ReleaseValidator {
       core.setFailed(`Release validation failed: ${errors.join('; ')}`);
     }
 
-    return {
-      isValid,
-      errors,
-      warnings
-    };
+    return result;
   }
 }
 
@@ -0,0 +1,71 @@
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+
+// Talk to a real SMTP server on localhost
+jest.unmock('nodemailer');
+jest.mock('@actions/core');
+
+const GmailEmailSender = require('../../scripts/send-customer-emails');
+
+describe('SMTP delivery', () => {
+  let server;
+  let received;
+
+  beforeAll(async () => {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, session, callback) {
+        simpleParser(stream).then(mail => {
+          received.push({ envelope: session.envelope, mail });
+          callback();
+        }, callback);
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    process.env.MAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(server.server.address().port);
+    process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+      { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+      { name: 'Hank Scorpio', email: 'hank@globex.com', role: 'to', customer: 'globex' },
+      { name: 'Max Manager', email: 'max@acme.com', role: 'cc' },
+      { name: '', email: 'archive@pde.com', role: 'bcc' }
+    ]);
+    process.env.EMAIL_SUBJECT = '🚀 Major Release: Assembly Update';
+    process.env.EMAIL_BODY = '<div class="section"><p class="paragraph">Body</p></div>';
+    process.env.EMAIL_TEXT = 'Assembly Update\n===============';
+    process.env.RELEASE_TAG = 'v2.0.0';
+  });
+
+  afterEach(() => {
+    ['MAIL_TRANSPORT', 'SMTP_HOST', 'SMTP_PORT', 'CUSTOMER_RECIPIENTS', 'EMAIL_SUBJECT', 'EMAIL_BODY', 'EMAIL_TEXT', 'RELEASE_TAG']
+      .forEach(key => delete process.env[key]);
+  });
+
+  it('should deliver each customer email through the SMTP relay', async () => {
+    await new GmailEmailSender().sendCustomerEmails();
+
+    expect(received).toHaveLength(2);
+
+    const [jane, hank] = received;
+    expect(jane.envelope.rcptTo.map(rcpt => rcpt.address)).toEqual(['jane@acme.com', 'max@acme.com', 'archive@pde.com']);
+    expect(jane.mail.subject).toBe('🚀 Major Release: Assembly Update');
+    expect(jane.mail.to.value).toEqual([{ name: 'Jane Doe', address: 'jane@acme.com' }]);
+    expect(jane.mail.bcc).toBeUndefined();
+    expect(jane.mail.html).toContain('Body</p>');
+    expect(jane.mail.text).toContain('Hello Jane Doe,\n\nAssembly Update\n===============');
+
+    expect(hank.mail.html).toBe(false);
+    expect(hank.mail.text).toContain('Hello Hank Scorpio,');
+  });
+});
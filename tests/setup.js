@@ -93,7 +93,9 @@ jest.mock('nodemailer', () => ({
 
 jest.mock('marked', () => ({
   parse: jest.fn().mockImplementation((text) => `<p>${text}</p>`),
-  setOptions: jest.fn()
+  setOptions: jest.fn(),
+  // The release document model needs real block tokens
+  lexer: jest.requireActual('marked').lexer
 }));
 
 // jest.mock('cheerio', () => ({
@@ -111,6 +113,9 @@ jest.mock('marked', () => ({
 // Set up test environment variables
 process.env.NODE_ENV = 'test';
 
+// Keep semver tag checks independent of the tags in the local clone
+process.env.PREVIOUS_TAG = '';
+
 // Global test utilities
 global.testUtils = {
   // Helper to create mock release data
@@ -0,0 +1,43 @@
+// Import the module to test
+const CssInliner = require('../../scripts/css-inliner');
+
+describe('CssInliner', () => {
+  const page = (css, body) => `<!DOCTYPE html><html><head><style>${css}</style></head><body>${body}</body></html>`;
+
+  it('should write matching rules into style attributes', () => {
+    const html = CssInliner.inline(page('.note { color: red; } p { margin: 0; }', '<p class="note">Hi</p>'));
+
+    expect(html).toContain('<p class="note" style="margin: 0; color: red;">Hi</p>');
+    expect(html).not.toContain('<style>');
+  });
+
+  it('should apply rules by specificity, then source order', () => {
+    const html = CssInliner.inline(page(
+      '.box p { color: green; } p { color: red; font-size: 12px; } p { font-size: 14px; }',
+      '<div class="box"><p>Hi</p></div>'
+    ));
+
+    expect(html).toContain('<p style="font-size: 14px; color: green;">Hi</p>');
+  });
+
+  it('should keep existing inline styles over the sheet', () => {
+    const html = CssInliner.inline(page('p { color: red; margin: 0; }', '<p style="color: blue">Hi</p>'));
+
+    expect(html).toContain('<p style="margin: 0; color: blue;">Hi</p>');
+  });
+
+  it('should keep media queries and pseudo-class rules in a style block', () => {
+    const html = CssInliner.inline(page(
+      'a, a:hover { color: red; } @media (max-width: 600px) { a { color: blue !important; } }',
+      '<a href="https://example.com">x</a>'
+    ));
+
+    expect(html).toContain('<a href="https://example.com" style="color: red;">x</a>');
+    expect(html).toMatch(/<style>\na:hover \{ color: red; \}\n@media \(max-width: 600px\) \{ a \{ color: blue !important; \} \}\n<\/style>/);
+  });
+
+  it('should compute selector specificity', () => {
+    expect(CssInliner.specificity('.header h1')).toEqual([0, 1, 1]);
+    expect(CssInliner.specificity('#main .list > li.item')).toEqual([1, 2, 1]);
+  });
+});
@@ -0,0 +1,91 @@
+// Import the module to test
+const HtmlSanitizer = require('../../scripts/html-sanitizer');
+
+describe('HtmlSanitizer', () => {
+  const { sanitize } = HtmlSanitizer;
+
+  it('should keep allowlisted markup', () => {
+    const html = '<h2>Impact</h2><p><strong>Faster</strong> <em>builds</em></p><ul><li>One</li></ul>';
+
+    expect(sanitize(html)).toBe(html);
+  });
+
+  it('should drop scripts, styles and frames with their content', () => {
+    const html = sanitize(
+      '<p>Hi</p><script>alert(1)</script><style>body{display:none}</style>' +
+      '<iframe src="https://evil.example"></iframe><SCRIPT>alert(2)</SCRIPT><svg><script>alert(3)</script></svg>'
+    );
+
+    expect(html).toBe('<p>Hi</p>');
+  });
+
+  it('should unwrap unknown tags and keep their text', () => {
+    expect(sanitize('<form action="https://evil.example"><p>Keep <marquee>me</marquee></p></form>'))
+      .toBe('<p>Keep me</p>');
+  });
+
+  it('should remove event handlers, styles and classes', () => {
+    expect(sanitize('<p onclick="alert(1)" style="color:red" class="x">Hi</p><img src="x" onerror="alert(1)">'))
+      .toBe('<p>Hi</p><img>');
+  });
+
+  it('should remove comments', () => {
+    expect(sanitize('<p>Hi</p><!-- <script>alert(1)</script> -->')).toBe('<p>Hi</p>');
+  });
+
+  it('should only keep http, https and mailto links', () => {
+    const html = sanitize([
+      '<a href="https://example.com/notes">ok</a>',
+      '<a href="mailto:support@example.com">mail</a>',
+      '<a href="javascript:alert(1)">js</a>',
+      '<a href="JaVaScRiPt:alert(1)">mixed</a>',
+      '<a href="java\tscript:alert(1)">tab</a>',
+      '<a href=" &#106;avascript:alert(1)">entity</a>',
+      '<a href="data:text/html,<script>alert(1)</script>">data</a>',
+      '<a href="/relative">relative</a>'
+    ].join(''));
+
+    expect(html).toBe(
+      '<a href="https://example.com/notes" rel="noopener noreferrer">ok</a>' +
+      '<a href="mailto:support@example.com" rel="noopener noreferrer">mail</a>' +
+      '<a>js</a><a>mixed</a><a>tab</a><a>entity</a><a>data</a><a>relative</a>'
+    );
+  });
+
+  it('should only keep http and https image sources', () => {
+    expect(sanitize('<img src="https://example.com/a.png" alt="A"><img src="data:image/svg+xml,<svg/onload=alert(1)>">'))
+      .toBe('<img src="https://example.com/a.png" alt="A"><img>');
+  });
+
+  it('should keep task list check boxes disabled and drop other inputs', () => {
+    expect(sanitize('<li><input type="checkbox" checked> Done</li><input type="text" value="x">'))
+      .toBe('<li><input type="checkbox" checked="" disabled=""> Done</li>');
+  });
+
+  it('should escape text that reaches the output', () => {
+    expect(sanitize('<p>a &lt;b&gt; &amp; c</p>')).toBe('<p>a &lt;b&gt; &amp; c</p>');
+    expect(sanitize('<a title="&quot;><script>alert(1)</script>" href="https://example.com">x</a>'))
+      .toBe('<a title="&quot;><script>alert(1)</script>" href="https://example.com" rel="noopener noreferrer">x</a>');
+  });
+
+  it('should escape text for HTML content and attributes', () => {
+    expect(HtmlSanitizer.escape(`<a href="x">Tom & Jerry's</a>`))
+      .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    expect(HtmlSanitizer.escape(undefined)).toBe('');
+  });
+
+  it('should unescape what escape produced', () => {
+    const text = `<a href="x">Tom & Jerry's</a> &copy;`;
+
+    expect(HtmlSanitizer.unescape(HtmlSanitizer.escape(text))).toBe(text);
+    expect(HtmlSanitizer.unescape('&amp;lt;')).toBe('&lt;');
+    expect(HtmlSanitizer.unescape(undefined)).toBe('');
+  });
+
+  it('should check URL schemes', () => {
+    expect(HtmlSanitizer.safeUrl('https://github.com/org/repo/releases/tag/v1.0.0'))
+      .toBe('https://github.com/org/repo/releases/tag/v1.0.0');
+    expect(HtmlSanitizer.safeUrl(' javascript:alert(1)')).toBe('');
+    expect(HtmlSanitizer.safeUrl('mailto:a@example.com', 'src')).toBe('');
+  });
+});
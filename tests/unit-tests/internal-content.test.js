@@ -0,0 +1,102 @@
+const InternalContent = require('../../scripts/internal-content');
+const ContentProcessor = require('../../scripts/process-release-content');
+
+const releaseBody = [
+  '## Business Impact',
+  'Faster fixture changeover on line 3.',
+  '<!-- internal -->',
+  'Supplier quote still pending.',
+  '<!-- /internal -->',
+  '',
+  '## Technical Changes',
+  'Revised clamp geometry.',
+  '',
+  '## Notes for Engineering Team',
+  'Known limitation: torque spec is provisional.',
+  '',
+  '### Technical Notes',
+  '- Retest after tooling arrives',
+  '',
+  '## Related Work',
+  'PDE-12'
+].join('\n');
+
+describe('InternalContent', () => {
+  let internalContent;
+
+  beforeEach(() => {
+    internalContent = new InternalContent();
+  });
+
+  describe('find', () => {
+    it('should locate internal sections and blocks in document order', () => {
+      expect(internalContent.find(releaseBody)).toEqual([
+        { kind: 'block', label: 'internal block', startLine: 3, endLine: 5, closed: true },
+        { kind: 'section', label: 'Notes for Engineering Team', startLine: 10, endLine: 15, closed: true }
+      ]);
+    });
+
+    it('should run an unclosed block to the end of the body', () => {
+      const found = internalContent.find('Intro\n<!-- internal -->\nSecret\nMore');
+
+      expect(found).toEqual([
+        { kind: 'block', label: 'internal block', startLine: 2, endLine: 4, closed: false }
+      ]);
+    });
+
+    it('should use configured section names', () => {
+      internalContent = new InternalContent({ sections: ['Related Work'] });
+
+      expect(internalContent.find(releaseBody).map(entry => entry.label))
+        .toEqual(['internal block', 'Related Work']);
+    });
+  });
+
+  describe('redact', () => {
+    it('should blank internal lines and keep line numbers', () => {
+      const { markdown, redactions } = internalContent.redact(releaseBody);
+      const lines = markdown.split('\n');
+
+      expect(redactions).toHaveLength(2);
+      expect(lines).toHaveLength(releaseBody.split('\n').length);
+      expect(markdown).not.toContain('Supplier quote');
+      expect(markdown).not.toContain('torque spec');
+      expect(markdown).not.toContain('Retest');
+      expect(lines[lines.length - 1]).toBe('PDE-12');
+    });
+
+    it('should leave bodies without internal content untouched', () => {
+      expect(internalContent.redact('## Business Impact\nText').markdown).toBe('## Business Impact\nText');
+    });
+  });
+});
+
+describe('ContentProcessor internal content', () => {
+  let processor;
+
+  beforeEach(() => {
+    process.env.RELEASE_BODY = releaseBody;
+    process.env.RELEASE_TITLE = 'Fixture update';
+    processor = new ContentProcessor();
+  });
+
+  it('should withhold internal content from the customer email', () => {
+    const emailBody = processor.generateEmailBody();
+
+    expect(emailBody).toContain('Faster fixture changeover');
+    expect(emailBody).not.toContain('Supplier quote');
+    expect(emailBody).not.toContain('torque spec');
+    expect(processor.extractBusinessImpactForEmail()).not.toContain('Supplier quote');
+  });
+
+  it('should keep internal content in the Jira comment', () => {
+    expect(processor.generateJiraComment()).toContain('Supplier quote still pending.');
+  });
+
+  it('should return the redactions from process', () => {
+    const result = processor.process();
+
+    expect(result.redactions.map(entry => entry.label))
+      .toEqual(['internal block', 'Notes for Engineering Team']);
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+
+// Import the modules to test
+const MailTransport = require('../../scripts/mail-transport');
+const FileTransport = require('../../scripts/file-transport');
+const MimeMessage = require('../../scripts/mime-message');
+const ReleaseConfig = require('../../scripts/release-config');
+
+describe('MailTransport', () => {
+  const gmailEnv = { GMAIL_CLIENT_ID: 'id', GMAIL_CLIENT_SECRET: 'secret', GMAIL_REFRESH_TOKEN: 'token' };
+  const message = () => new MimeMessage({
+    from: 'PDE Releases <releases@pde.com>',
+    to: ['Jane Doe <jane@acme.com>'],
+    cc: ['max@acme.com'],
+    bcc: ['archive@pde.com'],
+    subject: 'Release',
+    text: 'Body',
+    html: '<p>Body</p>'
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should default to the Gmail API transport', () => {
+    expect(MailTransport.fromConfig(new ReleaseConfig({}), gmailEnv).name).toBe('gmail_api');
+  });
+
+  it('should choose the transport from config, overridden by MAIL_TRANSPORT', () => {
+    const config = new ReleaseConfig({ email: { transport: { type: 'smtp', smtp: { host: 'relay.pde.local' } } } });
+
+    expect(MailTransport.fromConfig(config, {}).name).toBe('smtp');
+    expect(MailTransport.fromConfig(config, { MAIL_TRANSPORT: 'file' }).name).toBe('file');
+  });
+
+  it('should reject unknown transports and missing settings', () => {
+    const config = new ReleaseConfig({});
+
+    expect(() => MailTransport.fromConfig(config, { MAIL_TRANSPORT: 'carrier_pigeon' }))
+      .toThrow('Unknown mail transport "carrier_pigeon"; use one of: gmail_api, smtp, file');
+    expect(() => MailTransport.fromConfig(config, {})).toThrow('Missing Gmail credentials');
+    expect(() => MailTransport.fromConfig(config, { MAIL_TRANSPORT: 'smtp' })).toThrow('SMTP transport requires a host');
+  });
+
+  it('should send through the Gmail API with the raw message', async () => {
+    const transport = MailTransport.fromConfig(new ReleaseConfig({}), gmailEnv);
+    const send = jest.fn().mockResolvedValue({ data: { id: 'id-1', threadId: 'thread-1' } });
+    transport.getGmailClient = jest.fn().mockResolvedValue({ users: { messages: { send } } });
+    const mail = message();
+
+    const result = await transport.send(mail);
+
+    expect(result).toEqual({ messageId: 'id-1', threadId: 'thread-1', rfcMessageId: mail.messageId });
+    const parsed = await simpleParser(Buffer.from(send.mock.calls[0][0].requestBody.raw, 'base64'));
+    expect(parsed.bcc.text).toBe('archive@pde.com');
+  });
+
+  it('should send SMTP mail with every recipient in the envelope and no Bcc header', async () => {
+    const config = new ReleaseConfig({ email: { transport: { smtp: { host: 'relay.pde.local', port: 25 } } } });
+    const transport = MailTransport.fromConfig(config, { MAIL_TRANSPORT: 'smtp', SMTP_USER: 'relay', SMTP_PASSWORD: 'pw' });
+
+    await transport.send(message());
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({
+      host: 'relay.pde.local',
+      port: 25,
+      secure: false,
+      ignoreTLS: false,
+      auth: { user: 'relay', pass: 'pw' }
+    });
+    const { envelope, raw } = nodemailer.createTransport.mock.results[0].value.sendMail.mock.calls[0][0];
+    expect(envelope).toEqual({ from: 'releases@pde.com', to: ['jane@acme.com', 'max@acme.com', 'archive@pde.com'] });
+    expect(raw.toString('utf8')).not.toMatch(/^Bcc:/im);
+  });
+
+  it('should write .eml files to the outbox directory', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const transport = MailTransport.fromConfig(new ReleaseConfig({}), { MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: directory });
+    const mail = message();
+
+    try {
+      const result = await transport.send(mail);
+
+      expect(transport).toBeInstanceOf(FileTransport);
+      expect(path.dirname(result.path)).toBe(directory);
+      expect(result.path).toMatch(/\.eml$/);
+      const parsed = await simpleParser(fs.readFileSync(result.path));
+      expect(parsed.messageId).toBe(mail.messageId);
+      expect(parsed.bcc.text).toBe('archive@pde.com');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import the module to test
+const MarkdownToAdf = require('../../scripts/markdown-to-adf');
+
+describe('MarkdownToAdf', () => {
+  const convert = markdown => MarkdownToAdf.convert(markdown).content;
+
+  it('should wrap content in a version 1 document', () => {
+    const doc = MarkdownToAdf.convert('');
+
+    expect(doc).toEqual({ type: 'doc', version: 1, content: [{ type: 'paragraph', content: [] }] });
+  });
+
+  it('should convert headings and inline marks', () => {
+    expect(convert('## Business **Impact**\nFaster *and* ~~slower~~ `x<y`')).toEqual([
+      {
+        type: 'heading',
+        attrs: { level: 2 },
+        content: [
+          { type: 'text', text: 'Business ' },
+          { type: 'text', text: 'Impact', marks: [{ type: 'strong' }] }
+        ]
+      },
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'Faster ' },
+          { type: 'text', text: 'and', marks: [{ type: 'em' }] },
+          { type: 'text', text: ' ' },
+          { type: 'text', text: 'slower', marks: [{ type: 'strike' }] },
+          { type: 'text', text: ' ' },
+          { type: 'text', text: 'x<y', marks: [{ type: 'code' }] }
+        ]
+      }
+    ]);
+  });
+
+  it('should keep field lines apart with hard breaks and unescape text', () => {
+    expect(convert('**Release:** Bolts & Nuts\n**URL:** https://example.com')[0].content).toEqual([
+      { type: 'text', text: 'Release:', marks: [{ type: 'strong' }] },
+      { type: 'text', text: ' Bolts & Nuts' },
+      { type: 'hardBreak' },
+      { type: 'text', text: 'URL:', marks: [{ type: 'strong' }] },
+      { type: 'text', text: ' ' },
+      { type: 'text', text: 'https://example.com', marks: [{ type: 'link', attrs: { href: 'https://example.com' } }] }
+    ]);
+  });
+
+  it('should convert bullet and ordered lists with nesting', () => {
+    const [bullets, ordered] = convert('- One\n  - Nested\n\n3. Third\n4. Fourth');
+
+    expect(bullets.type).toBe('bulletList');
+    expect(bullets.content[0].content).toEqual([
+      { type: 'paragraph', content: [{ type: 'text', text: 'One' }] },
+      { type: 'bulletList', content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Nested' }] }] }] }
+    ]);
+    expect(ordered.type).toBe('orderedList');
+    expect(ordered.attrs).toEqual({ order: 3 });
+    expect(ordered.content).toHaveLength(2);
+  });
+
+  it('should convert task lists with their state', () => {
+    const [taskList] = convert('- [x] Updated drawings (PDF)\n- [ ] Test results');
+
+    expect(taskList.type).toBe('taskList');
+    expect(taskList.content.map(item => [item.type, item.attrs.state, item.content[0].text])).toEqual([
+      ['taskItem', 'DONE', 'Updated drawings (PDF)'],
+      ['taskItem', 'TODO', 'Test results']
+    ]);
+    const ids = [taskList.attrs.localId, ...taskList.content.map(item => item.attrs.localId)];
+    expect(new Set(ids).size).toBe(3);
+  });
+
+  it('should convert code blocks, quotes and rules', () => {
+    expect(convert('```yaml\ntype: major\n```\n\n> Note\n\n---')).toEqual([
+      { type: 'codeBlock', attrs: { language: 'yaml' }, content: [{ type: 'text', text: 'type: major' }] },
+      { type: 'blockquote', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Note' }] }] },
+      { type: 'rule' }
+    ]);
+  });
+
+  it('should convert tables with a header row', () => {
+    const [table] = convert('| Part | Rev |\n|---|---|\n| Bracket | B |');
+
+    expect(table.type).toBe('table');
+    expect(table.content.map(row => row.content.map(cell => cell.type))).toEqual([
+      ['tableHeader', 'tableHeader'],
+      ['tableCell', 'tableCell']
+    ]);
+    expect(table.content[1].content[0].content[0].content).toEqual([{ type: 'text', text: 'Bracket' }]);
+  });
+
+  it('should turn images into links and drop HTML comments', () => {
+    expect(convert('![Assembly overview](https://example.com/a.png)\n\n<!-- internal -->')).toEqual([
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'Assembly overview', marks: [{ type: 'link', attrs: { href: 'https://example.com/a.png' } }] }
+        ]
+      }
+    ]);
+  });
+
+  it('should only produce non-empty text nodes for a full release', () => {
+    const release = fs.readFileSync(path.join(__dirname, '../mock-data/sample-releases/valid-release.md'), 'utf8');
+    const texts = [];
+    const walk = node => {
+      if (node.type === 'text') {
+        texts.push(node.text);
+      }
+      (node.content || []).forEach(walk);
+    };
+    walk(MarkdownToAdf.convert(release));
+
+    expect(texts.length).toBeGreaterThan(50);
+    expect(texts.every(text => text.length > 0)).toBe(true);
+  });
+});
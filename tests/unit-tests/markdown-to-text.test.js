@@ -0,0 +1,61 @@
+// Import the module to test
+const MarkdownToText = require('../../scripts/markdown-to-text');
+
+describe('MarkdownToText', () => {
+  const convert = MarkdownToText.convert;
+
+  it('should underline top-level headings and keep paragraphs apart', () => {
+    expect(convert('# Release\nFirst line\nsecond line\n\n## What\'s New\nFaster & safer\n\n### Details\nMore'))
+      .toBe("Release\n=======\n\nFirst line\nsecond line\n\nWhat's New\n----------\n\nFaster & safer\n\nDetails\n\nMore");
+  });
+
+  it('should keep bullets, numbers and check boxes with nested items indented', () => {
+    const markdown = [
+      '- Drawings',
+      '  - Sheet 1',
+      '- [x] Review documentation',
+      '- [ ] Schedule training',
+      '',
+      '3. Third',
+      '4. Fourth'
+    ].join('\n');
+
+    expect(convert(markdown)).toBe([
+      '- Drawings',
+      '  - Sheet 1',
+      '- [x] Review documentation',
+      '- [ ] Schedule training',
+      '',
+      '3. Third',
+      '4. Fourth'
+    ].join('\n'));
+  });
+
+  it('should number links and list them at the end', () => {
+    const markdown = 'See [the guide](https://docs.pde.com/guide) and ![diagram](https://docs.pde.com/a.png).\n\n' +
+      'Again [here](https://docs.pde.com/guide), or https://pde.com';
+
+    expect(convert(markdown)).toBe([
+      'See the guide [1] and diagram [2].',
+      '',
+      'Again here [1], or https://pde.com',
+      '',
+      '[1] https://docs.pde.com/guide',
+      '[2] https://docs.pde.com/a.png'
+    ].join('\n'));
+  });
+
+  it('should drop markup while keeping code and quoted text readable', () => {
+    const markdown = '**Bold** `a<b` <!-- internal --><b>tag</b>\n\n> Quoted\n\n```\nmake build\n```\n\n| Part | Rev |\n| --- | --- |\n| A-1 | B |';
+
+    expect(convert(markdown)).toBe('Bold a<b tag\n\n> Quoted\n\n    make build\n\nPart | Rev\nA-1 | B');
+  });
+
+  it('should share link numbers across pieces converted by one instance', () => {
+    const converter = new MarkdownToText();
+
+    expect(converter.convertBody('[a](https://a.example)')).toBe('a [1]');
+    expect(converter.convertBody('[b](https://b.example) [a](https://a.example)')).toBe('b [2] a [1]');
+    expect(converter.renderReferences()).toBe('[1] https://a.example\n[2] https://b.example');
+  });
+});
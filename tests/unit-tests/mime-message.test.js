@@ -0,0 +1,91 @@
+const { simpleParser } = require('mailparser');
+
+// Import the module to test
+const MimeMessage = require('../../scripts/mime-message');
+
+describe('MimeMessage', () => {
+  const fields = {
+    from: 'PDE Releases <releases@pde.com>',
+    to: ['"Doe, Jane" <jane@acme.com>'],
+    cc: ['Max Manager <max@acme.com>'],
+    bcc: ['archive@pde.com'],
+    replyTo: 'support@pde.com',
+    subject: '🚀 Major Release: Überarbeitete Baugruppe',
+    text: 'Hello Jane,\n\nWhat’s new',
+    html: '<p>Hello Jane,</p><p>What’s new</p>',
+    date: new Date('2026-03-02T10:00:00Z')
+  };
+
+  const parse = async (message, options) => simpleParser(await message.build(options));
+
+  it('should round-trip headers, including an encoded emoji subject', async () => {
+    const message = new MimeMessage(fields);
+    const raw = (await message.build()).toString('utf8');
+    const parsed = await simpleParser(raw);
+
+    expect(raw).toMatch(/^Subject: =\?UTF-8\?[BQ]\?/m);
+    expect(parsed.subject).toBe(fields.subject);
+    expect(parsed.from.value).toEqual([{ name: 'PDE Releases', address: 'releases@pde.com' }]);
+    expect(parsed.to.value).toEqual([{ name: 'Doe, Jane', address: 'jane@acme.com' }]);
+    expect(parsed.cc.value).toEqual([{ name: 'Max Manager', address: 'max@acme.com' }]);
+    expect(parsed.bcc.value).toEqual([{ name: '', address: 'archive@pde.com' }]);
+    expect(parsed.replyTo.value).toEqual([{ name: '', address: 'support@pde.com' }]);
+    expect(parsed.messageId).toBe(message.messageId);
+    expect(parsed.date.toISOString()).toBe('2026-03-02T10:00:00.000Z');
+  });
+
+  it('should send text and HTML as multipart/alternative', async () => {
+    const parsed = await parse(new MimeMessage(fields));
+
+    expect(parsed.headers.get('content-type').value).toBe('multipart/alternative');
+    expect(parsed.text.trim()).toBe(fields.text);
+    expect(parsed.html).toBe(fields.html);
+    expect(parsed.attachments).toEqual([]);
+  });
+
+  it('should send a text-only message as text/plain', async () => {
+    const parsed = await parse(new MimeMessage({ ...fields, html: undefined }));
+
+    expect(parsed.headers.get('content-type').value).toBe('text/plain');
+    expect(parsed.html).toBe(false);
+  });
+
+  it('should use multipart/related for inline images and multipart/mixed for attachments', async () => {
+    const message = new MimeMessage({
+      ...fields,
+      html: '<p>Logo</p><img src="cid:logo@pde">',
+      attachments: [
+        { filename: 'logo.png', content: Buffer.from('png'), contentType: 'image/png', cid: 'logo@pde' },
+        { filename: 'drawing.pdf', content: Buffer.from('%PDF-1.4'), contentType: 'application/pdf' }
+      ]
+    });
+    const raw = (await message.build()).toString('utf8');
+    const parsed = await simpleParser(raw);
+
+    expect(parsed.headers.get('content-type').value).toBe('multipart/mixed');
+    expect(raw).toContain('Content-Type: multipart/related');
+    expect(raw).toContain('Content-Type: multipart/alternative');
+    expect(parsed.attachments.map(attachment => [attachment.filename, attachment.contentDisposition, attachment.content.toString()]))
+      .toEqual([['logo.png', 'inline', 'png'], ['drawing.pdf', 'attachment', '%PDF-1.4']]);
+  });
+
+  it('should leave out Bcc and empty address headers when asked', async () => {
+    const raw = (await new MimeMessage({ ...fields, cc: [], bcc: ['archive@pde.com'], replyTo: '' })
+      .build({ keepBcc: false })).toString('utf8');
+
+    expect(raw).not.toMatch(/^(Bcc|Cc|Reply-To):/im);
+  });
+
+  it('should encode the message for the Gmail API', async () => {
+    const message = new MimeMessage(fields);
+    const raw = await message.toGmailRaw();
+
+    expect(raw).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect((await simpleParser(Buffer.from(raw, 'base64'))).subject).toBe(fields.subject);
+  });
+
+  it('should create a Message-ID in the sender domain', () => {
+    expect(MimeMessage.createMessageId('PDE <releases@pde.com>')).toMatch(/^<[0-9a-f-]{36}@pde\.com>$/);
+    expect(MimeMessage.createMessageId('')).toMatch(/@localhost>$/);
+  });
+});
@@ -86,6 +86,87 @@ describe('ReleaseDataParser', () => {
       const result = parser.extractCustomerEmails();
       expect(result).toBe('valid@example.com,another@test.com');
     });
+
+    it('should keep recipients written with display names', () => {
+      const releaseBody = `
+        **Customer Email(s):** Jane Doe <jane@acme.com>, "Doe, John" <john@acme.com>, ops@acme.com
+      `;
+      
+      parser = new ReleaseDataParser();
+      parser.releaseBody = releaseBody;
+      
+      expect(parser.extractCustomerEmails()).toBe('jane@acme.com,john@acme.com,ops@acme.com');
+      expect(parser.extractCustomerRecipients()).toEqual([
+        { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+        { name: 'Doe, John', email: 'john@acme.com', role: 'to' },
+        { name: '', email: 'ops@acme.com', role: 'to' }
+      ]);
+    });
+
+    it('should read Customer CC and Customer BCC fields', () => {
+      const releaseBody = `
+        **Customer Email(s):** Jane Doe <jane@acme.com>
+        **Customer CC:** Max Manager <max@acme.com>
+        **Customer BCC:** archive@pde.com
+      `;
+      
+      parser = new ReleaseDataParser();
+      parser.releaseBody = releaseBody;
+      
+      expect(parser.extractCustomerEmails()).toBe('jane@acme.com');
+      expect(parser.extractCustomerRecipients()).toEqual([
+        { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+        { name: 'Max Manager', email: 'max@acme.com', role: 'cc' },
+        { name: '', email: 'archive@pde.com', role: 'bcc' }
+      ]);
+    });
+  });
+
+  describe('customer groups', () => {
+    beforeEach(() => {
+      process.env.CUSTOMER_DIRECTORY_PATH = path.join(__dirname, '../mock-data/config/customers.yml');
+    });
+
+    afterEach(() => {
+      delete process.env.CUSTOMER_DIRECTORY_PATH;
+    });
+
+    it('should expand customer groups into their contacts', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '**Customers:** acme, Globex';
+      
+      expect(parser.extractCustomerGroups()).toEqual(['acme', 'globex']);
+      expect(parser.extractCustomerEmails()).toBe('jane.doe@acme.com,hank@globex.com');
+      expect(parser.extractCustomerRecipients()).toContainEqual(
+        { name: 'Max Manager', email: 'max.manager@acme.com', role: 'cc', customer: 'acme' }
+      );
+    });
+
+    it('should accept group keys in the front matter customers list', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '```yaml\ncustomers: [acme, extra@acme.com]\n```\n';
+      
+      expect(parser.extractCustomerGroups()).toEqual(['acme']);
+      expect(parser.extractCustomerEmails()).toBe('extra@acme.com,jane.doe@acme.com');
+    });
+
+    it('should not send twice to a contact listed directly and through its group', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '**Customer Email(s):** jane.doe@acme.com\n**Customers:** acme';
+      
+      expect(parser.extractCustomerEmails()).toBe('jane.doe@acme.com');
+    });
+
+    it('should compare addresses case-insensitively when dropping repeats', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '**Customer Email(s):** Jane.Doe@Acme.com, jane.doe@acme.com\n**Customer CC:** JANE.DOE@ACME.COM\n**Customers:** acme';
+      
+      const recipients = parser.extractCustomerRecipients();
+      
+      expect(recipients.filter(recipient => recipient.email.toLowerCase() === 'jane.doe@acme.com'))
+        .toEqual([expect.objectContaining({ email: 'Jane.Doe@Acme.com', role: 'to' })]);
+      expect(recipients.map(recipient => recipient.email)).toContain('max.manager@acme.com');
+    });
   });
 
   describe('extractJiraTickets', () => {
@@ -130,6 +211,26 @@ describe('ReleaseDataParser', () => {
       const result = parser.extractJiraTickets();
       expect(result).toBe('PDE-123 PDE-789');
     });
+
+    it('should keep tickets from every configured project key', () => {
+      const releaseBody = `
+        **Related Jira Tickets:** [CAST-123, CAST-456, ...]
+      `;
+      
+      parser = new ReleaseDataParser();
+      parser.releaseBody = releaseBody;
+      
+      const result = parser.extractJiraTickets();
+      expect(result).toBe('CAST-123 CAST-456');
+    });
+
+    it('should ignore inline references outside the configured project keys', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = 'Touches CAST-7, PDE-42 and UTF-8 handling.';
+      
+      const result = parser.extractJiraTickets();
+      expect(result).toBe('CAST-7 PDE-42');
+    });
   });
 
   describe('determineReleaseType', () => {
@@ -159,6 +260,137 @@ describe('ReleaseDataParser', () => {
       const result = parser.determineReleaseType();
       expect(result).toBe('update');
     });
+
+    it('should detect the types added in release_config.yml', () => {
+      parser = new ReleaseDataParser();
+      
+      parser.releaseTitle = 'Hotfix for bracket torque';
+      expect(parser.determineReleaseType()).toBe('hotfix');
+      
+      parser.releaseTitle = 'ECN 42: revised hole pattern';
+      expect(parser.determineReleaseType()).toBe('ecn');
+      
+      parser.releaseTitle = 'Prototype fixture';
+      expect(parser.determineReleaseType()).toBe('prototype');
+    });
+
+    it('should map a declared type through its field values', () => {
+      process.env.RELEASE_BODY = '```yaml\ntype: Engineering Change Notice\n```\n';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.determineReleaseType()).toBe('ecn');
+    });
+
+    it('should use types from a custom config', () => {
+      process.env.RELEASE_CONFIG_PATH = path.join(__dirname, '../mock-data/config/release-types.yml');
+      parser = new ReleaseDataParser();
+      
+      parser.releaseTitle = 'Recall of lot 17';
+      expect(parser.determineReleaseType()).toBe('recall');
+      expect(parser.extractNotifyPo()).toBe('false');
+      
+      parser.releaseTitle = 'Major overhaul';
+      expect(parser.determineReleaseType()).toBe('routine');
+      
+      delete process.env.RELEASE_CONFIG_PATH;
+    });
+
+    it('should follow the semver bump over misleading keywords', () => {
+      process.env.RELEASE_TITLE = 'Fixture redesign v3.0';
+      process.env.RELEASE_TAG = 'v3.0.0';
+      process.env.PREVIOUS_TAG = 'v2.4.1';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.extractVersionBump()).toBe('major');
+      expect(parser.determineReleaseType()).toBe('major');
+      
+      process.env.PREVIOUS_TAG = '';
+    });
+
+    it('should keep a keyword type that fits the bump', () => {
+      process.env.RELEASE_TITLE = 'Hotfix for bracket torque';
+      process.env.RELEASE_TAG = 'v2.4.2';
+      process.env.PREVIOUS_TAG = 'v2.4.1';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.determineReleaseType()).toBe('hotfix');
+      
+      process.env.PREVIOUS_TAG = '';
+    });
+
+    it('should use keywords when the tag is not semver', () => {
+      process.env.RELEASE_TITLE = 'Fixture redesign';
+      process.env.RELEASE_TAG = 'fixture-redesign';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.extractVersionBump()).toBe('');
+      expect(parser.determineReleaseType()).toBe('bugfix');
+    });
+
+    it('should read the declared type from the Release Type field', () => {
+      process.env.RELEASE_BODY = '**Release Type:** Bug Fix';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.extractDeclaredReleaseType()).toBe('bugfix');
+    });
+
+    it('should ignore the Release Type placeholder', () => {
+      process.env.RELEASE_BODY = '**Release Type:** [Major Release | Minor Update | Bug Fix | Documentation]';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.extractDeclaredReleaseType()).toBe('');
+    });
+
+    it('should prefer the declared type over keywords', () => {
+      process.env.RELEASE_TITLE = 'Major fixture rework';
+      process.env.RELEASE_BODY = '**Release Type:** Hotfix';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.determineReleaseType()).toBe('hotfix');
+      expect(parser.extractReleaseTypeSource()).toBe('declared');
+    });
+
+    it('should normalize declared label variants', () => {
+      const variants = {
+        'Bug Fix Release': 'bugfix',
+        'bug-fix': 'bugfix',
+        'MINOR': 'minor',
+        '🚀 Major Release': 'major',
+        '[Engineering Change]': 'ecn'
+      };
+      
+      for (const [value, type] of Object.entries(variants)) {
+        process.env.RELEASE_BODY = `**Release Type:** ${value}`;
+        parser = new ReleaseDataParser();
+        expect(parser.extractDeclaredReleaseType()).toBe(type);
+      }
+    });
+
+    it('should infer the type when several are listed', () => {
+      process.env.RELEASE_BODY = '**Release Type:** Major Release, Bug Fix';
+      parser = new ReleaseDataParser();
+      
+      expect(parser.extractDeclaredReleaseType()).toBe('');
+      expect(parser.extractReleaseTypeSource()).toBe('inferred');
+    });
+
+    it('should output whether the type was declared or inferred', () => {
+      process.env.RELEASE_TITLE = 'Prototype fixture';
+      parser = new ReleaseDataParser();
+      parser.parse();
+      
+      expect(mockCore.setOutput).toHaveBeenCalledWith('release_type_source', 'inferred');
+    });
+
+    it('should output the type label and downstream behavior', () => {
+      process.env.RELEASE_TITLE = 'Prototype fixture';
+      parser = new ReleaseDataParser();
+      parser.parse();
+      
+      expect(mockCore.setOutput).toHaveBeenCalledWith('release_type_label', '🧪 Prototype');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('notify_customers', 'false');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('update_jira', 'true');
+    });
   });
 
   describe('extractBusinessImpact', () => {
@@ -222,6 +454,143 @@ describe('ReleaseDataParser', () => {
       const result = parser.hasFileAttachments();
       expect(result).toBe(false);
     });
+
+    it('should ignore unchecked template boxes', () => {
+      const releaseBody = fs.readFileSync(path.join(__dirname, '../../release_template.md'), 'utf8');
+      
+      parser = new ReleaseDataParser();
+      parser.releaseBody = releaseBody;
+      
+      expect(parser.hasFileAttachments()).toBe(false);
+      expect(parser.extractIncludedFiles()).toEqual([]);
+    });
+
+    it('should list checked items including free-text Other entries', () => {
+      const releaseBody = `
+        ## Files Included
+        - [x] Updated drawings (PDF)
+        - [ ] 3D models (STEP/SolidWorks)
+        - [X] Bill of materials
+        - [ x] Other: Wiring harness diagram
+      `;
+      
+      parser = new ReleaseDataParser();
+      parser.releaseBody = releaseBody;
+      
+      expect(parser.extractIncludedFiles()).toEqual([
+        'Updated drawings (PDF)',
+        'Bill of materials',
+        'Wiring harness diagram'
+      ]);
+    });
+
+    it('should skip an Other entry left as a placeholder', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '## Files Included\n- [x] Other: [describe]\n- [x] Other: none';
+      
+      expect(parser.hasFileAttachments()).toBe(false);
+    });
+  });
+
+  describe('extractProjectName', () => {
+    afterEach(() => {
+      delete process.env.GITHUB_REPOSITORY;
+    });
+
+    it('should normalize the Project field to a config key', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '**Project:** Project A';
+      
+      expect(parser.extractProjectName()).toBe('project_a');
+    });
+
+    it('should prefer the front matter project', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '```yaml\nproject: Project-B\n```\n**Project:** Project A';
+      
+      expect(parser.extractProjectName()).toBe('project_b');
+    });
+
+    it('should derive the project from the repository name', () => {
+      process.env.GITHUB_REPOSITORY = 'pacificdesignengineering/Project-A';
+      
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '**Project:** [Project name or reference]';
+      
+      expect(parser.extractProjectName()).toBe('project_a');
+    });
+
+    it('should restrict tickets to the project allowlist', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '**Project:** Project A\n**Jira Tickets:** PDE-1 CAST-2';
+      
+      expect(parser.extractJiraTickets()).toBe('CAST-2');
+    });
+  });
+
+  describe('front matter', () => {
+    it('should prefer the YAML block over body fields', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseTitle = 'Bracket Update';
+      parser.releaseBody = [
+        '```yaml',
+        'customers:',
+        '  - buyer@customer.com',
+        '  - not-an-email',
+        'jira: PDE-321 PDE-322',
+        'type: Minor',
+        'notify_po: false',
+        'release_date: 2024-02-01',
+        '```',
+        '',
+        '**Customer Email(s):** someone.else@customer.com',
+        '',
+        '## Business Impact',
+        'Bracket fits the new housing.'
+      ].join('\n');
+
+      expect(parser.extractCustomerEmails()).toBe('buyer@customer.com');
+      expect(parser.extractJiraTickets()).toBe('PDE-321 PDE-322');
+      expect(parser.determineReleaseType()).toBe('minor');
+      expect(parser.extractNotifyPo()).toBe('false');
+      expect(parser.extractReleaseDate()).toBe('2024-02-01');
+      expect(parser.extractBusinessImpact()).toBe('Bracket fits the new housing.');
+    });
+
+    it('should read a body opening with a horizontal rule around prose as body text', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '---\nThis release updates the bracket.\n---\n\n## Technical Changes\nNew fillet';
+
+      expect(parser.getDocument().frontMatter).toBeNull();
+      expect(parser.extractTechnicalChanges()).toBe('New fillet');
+    });
+
+    it('should not read "Key: value" lines between horizontal rules as front matter', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '---\n## Release Summary\nNotes: bracket update\n\n---\n\n**Customer Email(s):** a@customer.com';
+
+      expect(parser.getDocument().frontMatter).toBeNull();
+      expect(parser.getDocument().getSectionMarkdown('release_summary')).toContain('Notes: bracket update');
+      expect(parser.extractCustomerEmails()).toBe('a@customer.com');
+    });
+
+    it('should fall back to body fields without a YAML block', () => {
+      parser = new ReleaseDataParser();
+      parser.releaseBody = '**Customer Email(s):** a@customer.com\n**Release Date:** 2024-03-04\n**PO Notification:** [yes]';
+
+      expect(parser.extractCustomerEmails()).toBe('a@customer.com');
+      expect(parser.extractReleaseDate()).toBe('2024-03-04');
+      expect(parser.extractNotifyPo()).toBe('true');
+    });
+
+    it('should fail parsing on malformed YAML', () => {
+      process.env.RELEASE_BODY = '```yaml\ncustomers: [a@customer.com\n```';
+
+      parser = new ReleaseDataParser();
+
+      expect(() => parser.parse()).toThrow('Invalid YAML front matter');
+      expect(mockCore.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid YAML front matter'));
+    });
   });
 
   describe('parse', () => {
@@ -264,6 +633,8 @@ describe('ReleaseDataParser', () => {
       expect(mockCore.setOutput).toHaveBeenCalledWith('jira_tickets', expect.any(String));
       expect(mockCore.setOutput).toHaveBeenCalledWith('release_type', expect.any(String));
       expect(mockCore.setOutput).toHaveBeenCalledWith('has_files', 'true');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('project_name', 'assembly_process_improvement');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('file_manifest', expect.stringContaining('Quality control reports'));
     });
   });
 }); 
\ No newline at end of file
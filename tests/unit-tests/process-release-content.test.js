@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const core = require('@actions/core');
+const marked = require('marked');
+
+// Import the module to test
+const ContentProcessor = require('../../scripts/process-release-content');
+
+describe('ContentProcessor', () => {
+  let processor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.RELEASE_TITLE = 'Fixture update';
+    process.env.RELEASE_TYPE = 'major';
+    process.env.RELEASE_BODY = fs.readFileSync(
+      path.join(__dirname, '../mock-data/sample-releases/valid-release.md'),
+      'utf8'
+    );
+    processor = new ContentProcessor();
+  });
+
+  describe('customer actions', () => {
+    it('should render a prominent actions block before the release details', () => {
+      const emailBody = processor.generateEmailBody();
+      const actionsIndex = emailBody.indexOf('Action Required');
+
+      expect(actionsIndex).toBeGreaterThan(-1);
+      expect(actionsIndex).toBeLessThan(emailBody.indexOf("What's New"));
+      expect(emailBody).toContain('<li class="list-item">Review updated documentation</li>');
+      expect(emailBody).toContain('Review updated documentation and implement new assembly procedures');
+      expect(emailBody).not.toContain('Provide feedback on new features');
+    });
+
+    it('should leave the block out when no actions are selected', () => {
+      process.env.RELEASE_BODY = '## Customer Actions Required\n- [ ] Review updated documentation';
+      processor = new ContentProcessor();
+
+      expect(processor.generateCustomerActionsBlock()).toBe('');
+    });
+
+    it('should list actions with their priority in the Jira comment', () => {
+      expect(processor.generateJiraComment()).toContain(
+        '✅ Customer Actions:\n- [Immediate] Review updated documentation\n- [Immediate] Update local files with new drawings'
+      );
+    });
+
+    it('should set the customer_actions output as JSON', () => {
+      processor.process();
+
+      const output = core.setOutput.mock.calls.find(call => call[0] === 'customer_actions');
+      const actions = JSON.parse(output[1]);
+
+      expect(actions).toHaveLength(4);
+      expect(actions[0]).toEqual({ text: 'Review updated documentation', priority: 'immediate', line: 72 });
+    });
+  });
+  describe('HTML sanitization', () => {
+    it('should strip scripts, event handlers and unsafe links from release markdown', () => {
+      const html = processor.convertMarkdownToHtml(
+        'Hi<script>alert(1)</script><img src=x onerror="alert(1)">' +
+        '<a href="javascript:alert(1)" onclick="steal()">click</a><iframe src="https://evil.example"></iframe>'
+      );
+
+      expect(html).toBe('<p class="paragraph">Hi<img><a>click</a></p>');
+    });
+
+    it('should keep code escaped', () => {
+      marked.parse.mockImplementation(jest.requireActual('marked').parse);
+
+      try {
+        const html = processor.convertMarkdownToHtml('Use `<Part onload=x>` if a<b\n\n```\n<script>alert(1)</script>\n```');
+
+        expect(html).toContain('<span class="inline-code">&lt;Part onload=x&gt;</span>');
+        expect(html).toContain('if a&lt;b');
+        expect(html).toContain('<pre class="code-block"><code>&lt;script&gt;alert(1)&lt;/script&gt;\n</code></pre>');
+        expect(html).not.toContain('<script>');
+      } finally {
+        marked.parse.mockImplementation(text => `<p>${text}</p>`);
+      }
+    });
+
+    it('should escape release fields in the email body', () => {
+      process.env.RELEASE_TITLE = 'Fixture <img src=x onerror=alert(1)> & more';
+      process.env.RELEASE_URL = 'javascript:alert(1)';
+      process.env.RELEASE_BODY = [
+        '## Files Included',
+        '- [x] <b onmouseover=alert(1)>Drawings</b>',
+        '## Customer Actions Required',
+        '- [x] Replace <script>alert(1)</script> now'
+      ].join('\n');
+      processor = new ContentProcessor();
+
+      const emailBody = processor.generateEmailBody();
+
+      expect(emailBody).toContain('Fixture &lt;img src=x onerror=alert(1)&gt; &amp; more');
+      expect(emailBody).toContain('<li>&lt;b onmouseover=alert(1)&gt;Drawings&lt;/b&gt;</li>');
+      expect(emailBody).toContain('Replace &lt;script&gt;alert(1)&lt;/script&gt; now');
+      expect(emailBody).toContain('<a href="" class="release-link">');
+      expect(emailBody).not.toMatch(/<(script|img|b)\b/);
+
+      delete process.env.RELEASE_URL;
+    });
+  });
+  describe('generateEmailText', () => {
+    it('should keep the structure of the customer email', () => {
+      process.env.RELEASE_URL = 'https://github.com/pde/releases/tag/v2.1.0';
+
+      const text = processor.generateEmailText();
+
+      expect(text).toMatch(/^Fixture update\n==============\n\nWe're pleased to announce the release of Fixture update\./);
+      expect(text).toContain('Action Required\n---------------');
+      expect(text).toContain('Immediate:\n- Review updated documentation\n');
+      expect(text).toContain("What's New\n----------\n\nEnhanced assembly process");
+      expect(text).toContain('\n- Streamlined assembly sequence with improved ergonomics\n');
+      expect(text).toContain('Release Files\n-------------\n\n- Updated drawings (PDF)\n');
+      expect(text).toMatch(/please visit:\nhttps:\/\/github\.com\/pde\/releases\/tag\/v2\.1\.0$/);
+      expect(text).not.toMatch(/<[a-z]/);
+
+      delete process.env.RELEASE_URL;
+    });
+
+    it('should number links from every section in one list', () => {
+      process.env.RELEASE_BODY = [
+        '## Business Impact',
+        'See [the guide](https://docs.pde.com/guide).',
+        '## Technical Changes',
+        'Details in [notes](https://docs.pde.com/notes) and [the guide](https://docs.pde.com/guide).'
+      ].join('\n');
+      processor = new ContentProcessor();
+
+      const text = processor.generateEmailText();
+
+      expect(text).toContain('See the guide [1].');
+      expect(text).toContain('Details in notes [2] and the guide [1].');
+      expect(text).toMatch(/Links:\n\[1\] https:\/\/docs\.pde\.com\/guide\n\[2\] https:\/\/docs\.pde\.com\/notes$/);
+    });
+  });
+});
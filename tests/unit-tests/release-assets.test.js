@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Import the module to test
+const ReleaseAssets = require('../../scripts/release-assets');
+const ReleaseConfig = require('../../scripts/release-config');
+
+describe('ReleaseAssets', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'));
+    fs.writeFileSync(path.join(directory, 'drawing.pdf'), 'pdf-content');
+    fs.writeFileSync(path.join(directory, 'model.step'), 'step');
+    fs.writeFileSync(path.join(directory, '.DS_Store'), 'x');
+    axios.get = jest.fn();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should attach local files that fit the budget', async () => {
+    const result = await new ReleaseAssets({ directory }).prepare();
+
+    expect(result.mode).toBe('attached');
+    expect(result.totalBytes).toBe(15);
+    expect(result.files.map(file => file.name)).toEqual(['drawing.pdf', 'model.step']);
+    expect(result.files[0].sha256).toBe(ReleaseAssets.sha256('pdf-content'));
+    expect(result.attachments).toEqual([
+      { filename: 'drawing.pdf', path: path.join(directory, 'drawing.pdf') },
+      { filename: 'model.step', path: path.join(directory, 'model.step') }
+    ]);
+  });
+
+  it('should link files with checksums above the budget', async () => {
+    const result = await new ReleaseAssets({ directory, maxTotalBytes: 10 }).prepare();
+
+    expect(result.mode).toBe('linked');
+    expect(result.reason).toBe('Files total 15 B, over the 10 B attachment budget');
+    expect(result.attachments).toEqual([]);
+    expect(result.files[0]).toMatchObject({
+      name: 'drawing.pdf',
+      size: 11,
+      sha256: ReleaseAssets.sha256('pdf-content'),
+      url: ''
+    });
+  });
+
+  it('should send the emails without files when the directory is missing', async () => {
+    const result = await new ReleaseAssets({ directory: path.join(directory, 'missing') }).prepare();
+
+    expect(result.mode).toBe('none');
+    expect(result.reason).toBe(`Could not list release files: Release asset directory not found: ${path.join(directory, 'missing')}`);
+    expect(result.files).toEqual([]);
+  });
+
+  it('should download release assets and verify their digest', async () => {
+    const content = Buffer.from('pdf-content');
+    axios.get.mockResolvedValue({ data: content });
+    const assets = new ReleaseAssets({
+      assets: [{
+        name: 'drawing.pdf',
+        size: 11,
+        content_type: 'application/pdf',
+        url: 'https://api.github.com/repos/pde/project-a/releases/assets/42',
+        browser_download_url: 'https://github.com/pde/project-a/releases/download/v2.1.0/drawing.pdf',
+        digest: `sha256:${ReleaseAssets.sha256(content)}`
+      }],
+      githubToken: 'token'
+    });
+
+    const result = await assets.prepare();
+
+    expect(result.mode).toBe('attached');
+    expect(result.attachments).toEqual([{ filename: 'drawing.pdf', content, contentType: 'application/pdf' }]);
+    expect(result.files[0].url).toBe('https://github.com/pde/project-a/releases/download/v2.1.0/drawing.pdf');
+    expect(axios.get).toHaveBeenCalledWith(
+      'https://api.github.com/repos/pde/project-a/releases/assets/42',
+      { responseType: 'arraybuffer', headers: { Accept: 'application/octet-stream', Authorization: 'Bearer token' } }
+    );
+  });
+
+  it('should fall back to links when a download fails or does not match its digest', async () => {
+    axios.get.mockResolvedValue({ data: Buffer.from('tampered') });
+    const assets = new ReleaseAssets({
+      assets: [{
+        name: 'drawing.pdf',
+        size: 8,
+        url: 'https://api.github.com/repos/pde/project-a/releases/assets/42',
+        browser_download_url: 'https://example.com/drawing.pdf',
+        digest: 'sha256:abc'
+      }]
+    });
+
+    const result = await assets.prepare();
+
+    expect(result.mode).toBe('linked');
+    expect(result.reason).toBe('Could not attach files: checksum mismatch for drawing.pdf');
+    expect(result.files[0]).toMatchObject({ url: 'https://example.com/drawing.pdf', sha256: 'abc' });
+  });
+
+  it('should report when there are no files', async () => {
+    expect((await new ReleaseAssets({}).prepare()).mode).toBe('none');
+  });
+
+  it('should read settings from the config and environment', () => {
+    const config = new ReleaseConfig({ email: { attachments: { max_total_mb: 2 } } });
+    const assets = ReleaseAssets.fromConfig(config, { RELEASE_ASSETS_DIR: directory, RELEASE_ASSETS: '[]' });
+
+    expect(assets.maxTotalBytes).toBe(2 * 1024 * 1024);
+    expect(assets.directory).toBe(directory);
+    expect(ReleaseAssets.fromConfig(new ReleaseConfig({ email: { attachments: { enabled: false } } }), { RELEASE_ASSETS_DIR: directory }).directory).toBe('');
+  });
+
+  it('should send the emails without files when RELEASE_ASSETS is malformed', async () => {
+    const config = new ReleaseConfig({});
+
+    const notJson = await ReleaseAssets.fromConfig(config, { RELEASE_ASSETS: '[{"name":' }).prepare();
+    expect(notJson.mode).toBe('none');
+    expect(notJson.reason).toMatch(/^Could not list release files: Release assets are not valid JSON: /);
+
+    const notArray = await ReleaseAssets.fromConfig(config, { RELEASE_ASSETS: '{}' }).prepare();
+    expect(notArray).toMatchObject({ mode: 'none', reason: 'Could not list release files: Release assets must be a JSON array', files: [] });
+  });
+
+  it('should format sizes', () => {
+    expect(ReleaseAssets.formatSize(512)).toBe('512 B');
+    expect(ReleaseAssets.formatSize(2.5 * 1024 * 1024)).toBe('2.5 MB');
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import the document model
+const ReleaseDocument = require('../../scripts/release-document');
+
+describe('ReleaseDocument', () => {
+  let sampleRelease;
+
+  beforeAll(() => {
+    sampleRelease = fs.readFileSync(
+      path.join(__dirname, '../mock-data/sample-releases/valid-release.md'),
+      'utf8'
+    );
+  });
+
+  describe('sections', () => {
+    it('should build nested sections from headings', () => {
+      const document = new ReleaseDocument(sampleRelease);
+      const businessImpact = document.getSection('business_impact');
+
+      expect(businessImpact.title).toBe('Business Impact');
+      expect(businessImpact.level).toBe(2);
+      expect(businessImpact.children.map(child => child.title)).toEqual([
+        "What's New for Customers",
+        'Customer Benefits'
+      ]);
+    });
+
+    it('should include subsections but not trailing rules in section markdown', () => {
+      const document = new ReleaseDocument(sampleRelease);
+      const markdown = document.getSectionMarkdown('business_impact');
+
+      expect(markdown).toContain('Enhanced assembly process reduces installation time');
+      expect(markdown).toContain("### What's New for Customers");
+      expect(markdown).toContain('Better user experience during installation');
+      expect(markdown).not.toContain('---');
+      expect(markdown).not.toContain('Technical Changes');
+    });
+
+    it('should resolve section aliases in priority order', () => {
+      const document = new ReleaseDocument(`
+        ## Problem Identified
+        The bracket was too short.
+
+        ## Resolution Description
+        Lengthened the bracket by 5mm.
+      `);
+
+      expect(document.getSectionMarkdown('issue_summary')).toBe('The bracket was too short.');
+      expect(document.getSectionMarkdown('resolution')).toBe('Lengthened the bracket by 5mm.');
+    });
+
+    it('should treat a bare "Label:" line as a section heading', () => {
+      const document = new ReleaseDocument(`
+        Business Impact:
+        Improved customer experience
+
+        Changes Made:
+        Some changes
+      `);
+
+      expect(document.getSectionMarkdown('business_impact')).toBe('Improved customer experience');
+      expect(document.getSectionMarkdown('technical_changes')).toBe('Some changes');
+    });
+
+    it('should return empty markdown for missing sections', () => {
+      const document = new ReleaseDocument('## Other\nContent');
+
+      expect(document.getSection('business_impact')).toBeNull();
+      expect(document.getSectionMarkdown('business_impact')).toBe('');
+    });
+  });
+
+  describe('fields', () => {
+    it('should extract bold and plain key/value fields with line numbers', () => {
+      const document = new ReleaseDocument(sampleRelease);
+
+      expect(document.getField('Customer Email(s)')).toBe('engineering@customer.com, project.manager@customer.com');
+      expect(document.getField('Project')).toBe('Assembly Process Improvement');
+      expect(document.findField('Release Type').line).toBe(6);
+    });
+
+    it('should return the first matching label', () => {
+      const document = new ReleaseDocument('Emails: b@test.com\nCustomer Emails: a@test.com');
+
+      expect(document.getField(['Customer Emails', 'Emails'])).toBe('a@test.com');
+      expect(document.getField('Missing')).toBe('');
+    });
+  });
+
+  describe('checklists and images', () => {
+    it('should report checked state of task list items', () => {
+      const document = new ReleaseDocument(`
+        ## Files Included
+        - [x] Updated drawings (PDF)
+        - [ ] Test results
+      `);
+
+      expect(document.getChecklist('files_included')).toEqual([
+        { text: 'Updated drawings (PDF)', checked: true, line: 3 },
+        { text: 'Test results', checked: false, line: 4 }
+      ]);
+    });
+
+    it('should collect customer actions with their priority', () => {
+      const document = new ReleaseDocument(sampleRelease);
+      const actions = document.getCustomerActions();
+
+      expect(actions).toHaveLength(4);
+      expect(actions[0]).toEqual({ text: 'Review updated documentation', priority: 'immediate', line: 72 });
+      expect(actions.every(action => action.priority === 'immediate')).toBe(true);
+    });
+
+    it('should keep plain list actions and skip unchecked or placeholder items', () => {
+      const document = new ReleaseDocument(`
+        ## Customer Actions Required
+        - Replace clamp bolts
+        - [Describe the action]
+
+        ### Optional Actions
+        - [x] Send feedback on the new fixture
+        - [ ] Schedule follow-up meeting if needed
+      `);
+
+      expect(document.getCustomerActions()).toEqual([
+        { text: 'Replace clamp bolts', priority: 'required', line: 3 },
+        { text: 'Send feedback on the new fixture', priority: 'optional', line: 7 }
+      ]);
+    });
+
+    it('should collect images', () => {
+      const document = new ReleaseDocument(sampleRelease);
+
+      expect(document.getImages()).toEqual([
+        {
+          alt: 'Assembly Process Overview',
+          href: 'https://example.com/assembly-overview.png',
+          title: '',
+          line: 50
+        }
+      ]);
+    });
+  });
+});
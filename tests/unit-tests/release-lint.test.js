@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ReleaseLinter = require('../../scripts/release-lint');
+
+describe('ReleaseLinter', () => {
+  const validRelease = path.join(__dirname, '../mock-data/sample-releases/valid-release.md');
+  const invalidRelease = path.join(__dirname, '../mock-data/sample-releases/invalid-release.md');
+  let output;
+  let errorOutput;
+
+  const run = args => ReleaseLinter.run(
+    args,
+    text => output.push(text),
+    text => errorOutput.push(text)
+  );
+
+  beforeEach(() => {
+    output = [];
+    errorOutput = [];
+    delete process.env.RELEASE_BODY;
+    delete process.env.CUSTOMER_EMAILS;
+    delete process.env.RELEASE_TITLE;
+  });
+
+  describe('parseArgs', () => {
+    it('should read files and options', () => {
+      const options = ReleaseLinter.parseArgs(['--format', 'json', '--title=Assembly v2', 'draft.md']);
+
+      expect(options.files).toEqual(['draft.md']);
+      expect(options.format).toBe('json');
+      expect(options.title).toBe('Assembly v2');
+    });
+
+    it('should reject unknown options and formats', () => {
+      expect(() => ReleaseLinter.parseArgs(['--verbose'])).toThrow('Unknown option: --verbose');
+      expect(() => ReleaseLinter.parseArgs(['--format', 'xml'])).toThrow('Unknown format: xml');
+    });
+  });
+
+  describe('lintText', () => {
+    it('should lint a body without environment variables', () => {
+      const linter = new ReleaseLinter();
+      const result = linter.lintText(fs.readFileSync(validRelease, 'utf8'), 'valid-release.md');
+
+      expect(result.valid).toBe(true);
+      expect(result.data.jiraTickets).toBe('PDE-789 PDE-790');
+      expect(process.env.RELEASE_BODY).toBeUndefined();
+    });
+
+    it('should report errors with line and column', () => {
+      const linter = new ReleaseLinter({ title: 'Assembly v2' });
+      const result = linter.lintText([
+        '**Customer Email(s):** eng@customer.com, someone@gmail.com',
+        '',
+        '## Business Impact',
+        '[Describe the business impact of this release.]',
+        '',
+        '## Technical Changes',
+        'Reworked the bracket interface tolerances.'
+      ].join('\n'));
+
+      expect(result.valid).toBe(false);
+      expect(result.problems).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          severity: 'error',
+          message: 'Recipient outside the allowed email domains: someone@gmail.com',
+          line: 1,
+          column: 42
+        }),
+        expect.objectContaining({
+          severity: 'error',
+          message: 'Unfilled template placeholder [Describe the business impact of this release.] in "Business Impact"',
+          line: 4,
+          column: 1
+        })
+      ]));
+    });
+
+    it('should report invalid front matter as an error', () => {
+      const linter = new ReleaseLinter();
+      const result = linter.lintText('```yaml\ncustomers: [unclosed\n```\n');
+
+      expect(result.valid).toBe(false);
+      expect(result.problems[0].message).toContain('Invalid YAML front matter');
+    });
+  });
+
+  describe('run', () => {
+    it('should exit zero for a valid draft', () => {
+      expect(run([validRelease])).toBe(0);
+      expect(output[0]).toContain('✔ No errors');
+    });
+
+    it('should exit non-zero and print file locations for an invalid draft', () => {
+      const draft = path.join(os.tmpdir(), `release-lint-${process.pid}.md`);
+      fs.writeFileSync(draft, '## Business Impact\n[Describe the business impact of this release.]\n');
+
+      try {
+        expect(run(['--title', 'Draft', draft])).toBe(1);
+      } finally {
+        fs.unlinkSync(draft);
+      }
+
+      expect(output[0]).toContain(`${draft}:2:1: error Unfilled template placeholder`);
+      expect(output[0]).toContain(`${draft}: error No customer emails found in release`);
+    });
+
+    it('should print JSON results', () => {
+      expect(run(['--format', 'json', invalidRelease])).toBe(1);
+
+      const results = JSON.parse(output[0]);
+      expect(results[0].valid).toBe(false);
+      expect(results[0].errors[0]).toEqual({
+        severity: 'error',
+        message: 'No customer emails found in release',
+        line: null,
+        column: null
+      });
+    });
+
+    it('should exit with a usage error without files', () => {
+      expect(run([])).toBe(2);
+      expect(errorOutput[0]).toContain('Usage: release-lint');
+    });
+
+    it('should report unreadable files', () => {
+      expect(run(['missing-draft.md'])).toBe(2);
+      expect(errorOutput[0]).toContain('release-lint: ENOENT');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const ReleaseConfig = require('../../scripts/release-config');
+const ReleaseDocument = require('../../scripts/release-document');
+const ReleaseTemplate = require('../../scripts/release-template');
+
+describe('ReleaseTemplate', () => {
+  describe('render', () => {
+    it('should replace placeholders and dotted paths', () => {
+      const output = ReleaseTemplate.render('{release_title} ({release.tag})', {
+        release_title: 'Fixture v2',
+        release: { tag: 'v2.0.0' }
+      });
+
+      expect(output).toBe('Fixture v2 (v2.0.0)');
+    });
+
+    it('should render conditionals with an else branch', () => {
+      const template = 'Impact: {#if business_impact}{business_impact}{else}Not specified{/if}';
+
+      expect(ReleaseTemplate.render(template, { business_impact: 'Faster' })).toBe('Impact: Faster');
+      expect(ReleaseTemplate.render(template, { business_impact: '  ' })).toBe('Impact: Not specified');
+    });
+
+    it('should loop over lists and drop lines holding only block tags', () => {
+      const template = [
+        'Files:',
+        '{#each files}',
+        '- {label}',
+        '{/each}',
+        '{#if tickets}',
+        'Tickets: {#each tickets}[{this}]{/each}',
+        '{/if}',
+        'Done'
+      ].join('\n');
+
+      const output = ReleaseTemplate.render(template, {
+        files: [{ label: 'Drawings (PDF)' }, { label: 'Test results' }],
+        tickets: ['PDE-1', 'PDE-2']
+      });
+
+      expect(output).toBe('Files:\n- Drawings (PDF)\n- Test results\nTickets: [PDE-1][PDE-2]\nDone');
+    });
+
+    it('should fall back to the outer context inside loops', () => {
+      const output = ReleaseTemplate.render('{#each tickets}{this}: {release_tag} {/each}', {
+        tickets: ['PDE-1'],
+        release_tag: 'v1.0.0'
+      });
+
+      expect(output).toBe('PDE-1: v1.0.0 ');
+    });
+
+    it('should leave braces that are not placeholders alone', () => {
+      expect(ReleaseTemplate.render('{ "tag": "{release_tag}" }', { release_tag: 'v1' })).toBe('{ "tag": "v1" }');
+    });
+
+    it('should fail on unknown placeholders', () => {
+      expect(() => ReleaseTemplate.render('Hello {customer_nmae}', {}, 'email.body_template'))
+        .toThrow('Unknown placeholder {customer_nmae} in email.body_template');
+      expect(() => ReleaseTemplate.render('{#if missing}x{/if}', {}))
+        .toThrow('Unknown placeholder {#if missing}');
+    });
+
+    it('should fail on unbalanced blocks', () => {
+      expect(() => new ReleaseTemplate('{#each files}- {label}')).toThrow('Unclosed {#each files} in template');
+      expect(() => new ReleaseTemplate('{#if files}x{/each}')).toThrow('Unexpected {/each} in template');
+      expect(() => new ReleaseTemplate('x{else}y')).toThrow('Unexpected {else} in template');
+    });
+  });
+
+  describe('buildContext', () => {
+    it('should expose sections, lists and release details', () => {
+      const config = new ReleaseConfig({
+        product_owners: { default: { name: 'Default PO', email: 'po@company.com' } }
+      });
+      const context = ReleaseTemplate.buildContext({
+        config,
+        releaseDocument: new ReleaseDocument([
+          '## Business Impact',
+          'Faster changeover.',
+          '',
+          '## Files Included',
+          '- [x] Test results',
+          '',
+          '## Customer Actions Required',
+          '- [x] Update local files'
+        ].join('\n')),
+        releaseTitle: 'A very long release title that keeps going past fifty characters',
+        releaseType: 'bugfix',
+        releaseDate: '2024-01-15',
+        recipients: [{ name: 'Jane Doe', email: 'jane@customer.com', role: 'to' }],
+        jiraTickets: 'PDE-1 PDE-2'
+      });
+
+      expect(context.business_impact).toBe('Faster changeover.');
+      expect(context.short_title).toBe('A very long release title that keeps going past...');
+      expect(context.release_type_label).toBe('🐛 Bug Fix');
+      expect(context.po_name).toBe('Default PO');
+      expect(context.tickets).toEqual(['PDE-1', 'PDE-2']);
+      expect(context.jira_tickets).toBe('PDE-1, PDE-2');
+      expect(context.customer_emails).toBe('jane@customer.com');
+      expect(context.files).toEqual([{ label: 'Test results' }]);
+      expect(context.actions).toEqual([
+        { text: 'Update local files', priority: 'required', priority_label: 'Required' }
+      ]);
+      expect(context.author).toBe('Unknown');
+    });
+
+    it('should render every shipped template', () => {
+      const config = ReleaseConfig.load();
+      const context = ReleaseTemplate.buildContext({ config, releaseTitle: 'Fixture v2', releaseTag: 'v2.0.0' });
+
+      ReleaseTemplate.TEMPLATE_KEYS.forEach(key => {
+        expect(() => ReleaseTemplate.fromConfig(config, key).render(context)).not.toThrow();
+      });
+    });
+  });
+});
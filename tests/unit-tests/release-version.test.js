@@ -0,0 +1,54 @@
+const ReleaseVersion = require('../../scripts/release-version');
+
+describe('ReleaseVersion', () => {
+  const version = tag => ReleaseVersion.parse(tag);
+
+  describe('parse', () => {
+    it('should parse semver tags with or without a v prefix', () => {
+      expect(version('v2.1.3')).toEqual({ tag: 'v2.1.3', major: 2, minor: 1, patch: 3, prerelease: '' });
+      expect(version('1.0.0-rc.1')).toEqual({ tag: '1.0.0-rc.1', major: 1, minor: 0, patch: 0, prerelease: 'rc.1' });
+    });
+
+    it('should return null for other tags', () => {
+      expect(version('release-2024-01')).toBeNull();
+      expect(version('v2.1')).toBeNull();
+    });
+  });
+
+  describe('bump', () => {
+    it('should classify the change from the previous tag', () => {
+      expect(ReleaseVersion.bump(version('v2.4.1'), version('v3.0.0'))).toBe('major');
+      expect(ReleaseVersion.bump(version('v2.4.1'), version('v2.5.0'))).toBe('minor');
+      expect(ReleaseVersion.bump(version('v2.4.1'), version('v2.4.2'))).toBe('patch');
+      expect(ReleaseVersion.bump(version('v2.4.1'), version('2.4.1'))).toBe('none');
+      expect(ReleaseVersion.bump(version('v2.4.1'), version('v2.3.9'))).toBe('backwards');
+    });
+  });
+
+  describe('isSkip', () => {
+    it('should detect skipped versions', () => {
+      expect(ReleaseVersion.isSkip(version('v1.2.0'), version('v1.4.0'))).toBe(true);
+      expect(ReleaseVersion.isSkip(version('v1.2.0'), version('v2.1.0'))).toBe(true);
+      expect(ReleaseVersion.isSkip(version('v1.2.3'), version('v1.3.1'))).toBe(true);
+      expect(ReleaseVersion.isSkip(version('v1.2.3'), version('v1.2.5'))).toBe(true);
+    });
+
+    it('should accept the next version', () => {
+      expect(ReleaseVersion.isSkip(version('v1.2.3'), version('v2.0.0'))).toBe(false);
+      expect(ReleaseVersion.isSkip(version('v1.2.3'), version('v1.3.0'))).toBe(false);
+      expect(ReleaseVersion.isSkip(version('v1.2.3'), version('v1.2.4'))).toBe(false);
+    });
+  });
+
+  describe('findPreviousTag', () => {
+    it('should pick the highest other release tag', () => {
+      const tags = ['v1.9.0', 'v1.10.0', 'v2.0.0-rc.1', 'docs-2024', 'v2.0.0'];
+
+      expect(ReleaseVersion.findPreviousTag('v2.0.0', tags)).toBe('v1.10.0');
+    });
+
+    it('should return an empty string without earlier tags', () => {
+      expect(ReleaseVersion.findPreviousTag('v1.0.0', ['v1.0.0'])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+
+const core = require('@actions/core');
+const marked = require('marked');
+
+// Import the sender
+const GmailEmailSender = require('../../scripts/send-customer-emails');
+const ContentProcessor = require('../../scripts/process-release-content');
+
+describe('GmailEmailSender', () => {
+  let sender;
+
+  beforeEach(() => {
+    process.env.CUSTOMER_EMAILS = '';
+    delete process.env.CUSTOMER_RECIPIENTS;
+    process.env.EMAIL_SUBJECT = 'Release';
+    process.env.EMAIL_BODY = '<p>Body</p>';
+
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    [
+      'EMAIL_TEXT', 'RELEASE_TAG', 'RELEASE_URL', 'RELEASE_TITLE', 'RELEASE_TYPE', 'RELEASE_BODY',
+      'MAIL_TRANSPORT', 'SMTP_HOST', 'GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'GMAIL_REFRESH_TOKEN'
+    ].forEach(name => delete process.env[name]);
+  });
+
+  describe('getRecipients', () => {
+    it('should prefer structured recipients', () => {
+      process.env.CUSTOMER_EMAILS = 'jane@acme.com';
+      process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+        { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+        { name: '', email: 'max@acme.com', role: 'cc' }
+      ]);
+
+      sender = new GmailEmailSender();
+
+      expect(sender.getRecipients()).toEqual([
+        { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+        { name: '', email: 'max@acme.com', role: 'cc' }
+      ]);
+    });
+
+    it('should fall back to the plain email list', () => {
+      process.env.CUSTOMER_EMAILS = 'a@acme.com, b@acme.com';
+
+      sender = new GmailEmailSender();
+
+      expect(sender.getRecipients().map(recipient => recipient.email)).toEqual(['a@acme.com', 'b@acme.com']);
+    });
+  });
+
+  describe('createEmailTemplate', () => {
+    it('should personalize the greeting and format headers', () => {
+      sender = new GmailEmailSender();
+
+      const emailData = sender.createEmailTemplate(
+        { name: 'Doe, Jane', email: 'jane@acme.com' },
+        'Release',
+        '<p>Body</p>',
+        { cc: [{ name: 'Max Manager', email: 'max@acme.com' }], bcc: [{ name: '', email: 'archive@pde.com' }] }
+      );
+
+      expect(emailData.to).toBe('"Doe, Jane" <jane@acme.com>');
+      expect(emailData.cc).toEqual(['Max Manager <max@acme.com>']);
+      expect(emailData.bcc).toEqual(['archive@pde.com']);
+      expect(emailData.html).toContain('Hello Doe, Jane,');
+    });
+
+    it('should use a generic greeting without a display name', () => {
+      sender = new GmailEmailSender();
+
+      const emailData = sender.createEmailTemplate('jane@acme.com', 'Release', '<p>Body</p>');
+
+      expect(emailData.to).toBe('jane@acme.com');
+      expect(emailData.html).toContain('Hello,');
+    });
+
+    it('should build the text part from EMAIL_TEXT', () => {
+      process.env.EMAIL_TEXT = 'Release\n=======\n\n- Drawings';
+      process.env.RELEASE_TAG = 'v2.1.0';
+      sender = new GmailEmailSender();
+
+      const emailData = sender.createEmailTemplate({ name: 'Jane Doe', email: 'jane@acme.com' }, 'Release', '<p>Body</p>');
+
+      expect(emailData.text).toBe([
+        'Hello Jane Doe,',
+        '',
+        'Release',
+        '=======',
+        '',
+        '- Drawings',
+        '',
+        '--',
+        'Pacific Design Engineering',
+        'Reference: v2.1.0',
+        'This is an automated notification from our release management system.'
+      ].join('\n'));
+      expect(emailData.text).not.toContain('PDE Release Notification');
+      expect(emailData.html).toContain('<p>Body</p>');
+    });
+
+    it('should send only the text version to customers who prefer text', () => {
+      sender = new GmailEmailSender();
+
+      const textData = sender.createEmailTemplate({ name: 'Hank Scorpio', email: 'hank@globex.com', customer: 'globex' }, 'Release', '<p>Body</p>');
+      const htmlData = sender.createEmailTemplate({ name: 'Jane Doe', email: 'jane.doe@acme.com', customer: 'acme' }, 'Release', '<p>Body</p>');
+
+      expect(textData.html).toBeUndefined();
+      expect(textData.text).toContain('Hello Hank Scorpio,\n\nBody');
+      expect(htmlData.html).toContain('<p>Body</p>');
+    });
+
+    it('should inline the styles and keep only rules that cannot be inlined', () => {
+      sender = new GmailEmailSender();
+
+      const { html } = sender.createEmailTemplate('jane@acme.com', 'Release', '<p class="paragraph">Body</p>');
+
+      expect(html).toContain('<td class="header" bgcolor="#667eea" align="center" style="background-color: #667eea;');
+      expect(html).toContain('<p class="paragraph" style="margin-bottom: 12px; color: #555;">Body</p>');
+      expect(html).toContain('.release-link:hover');
+      expect(html).toContain('@media only screen');
+      expect(html).not.toContain('.section-header {');
+    });
+
+    describe('with a sample release', () => {
+      beforeEach(() => {
+        process.env.RELEASE_TAG = 'v2.1.0';
+        process.env.RELEASE_URL = 'https://github.com/pde/releases/tag/v2.1.0';
+        process.env.RELEASE_TITLE = 'Project A Assembly Update';
+        process.env.RELEASE_TYPE = 'minor';
+        process.env.RELEASE_BODY = fs.readFileSync(
+          path.join(__dirname, '../mock-data/sample-releases/valid-release.md'),
+          'utf8'
+        );
+        // Render with the real marked so the snapshot shows what customers get
+        marked.parse.mockImplementation(jest.requireActual('marked').parse);
+      });
+
+      afterEach(() => {
+        marked.parse.mockImplementation(text => `<p>${text}</p>`);
+      });
+
+      it('should match the customer email snapshot', () => {
+        const processor = new ContentProcessor();
+        sender = new GmailEmailSender();
+
+        const { html } = sender.createEmailTemplate(
+          { name: 'Jane Doe', email: 'jane@acme.com' },
+          processor.generateEmailSubject(),
+          processor.generateEmailBody()
+        );
+
+        expect(html).toMatchSnapshot();
+      });
+    });
+  });
+
+  describe('release files', () => {
+    const files = [{ name: 'drawing.pdf', size: 2048, sha256: 'abc123', url: 'https://github.com/pde/releases/download/v1/drawing.pdf' }];
+
+    it('should attach files that fit the budget and list them', () => {
+      sender = new GmailEmailSender();
+      sender.releaseAssets = { mode: 'attached', files, attachments: [{ filename: 'drawing.pdf', content: Buffer.from('pdf') }] };
+
+      const emailData = sender.createEmailTemplate('jane@acme.com', 'Release', '<p>Body</p>');
+
+      expect(emailData.attachments).toEqual([{ filename: 'drawing.pdf', content: Buffer.from('pdf') }]);
+      expect(emailData.html).toContain('Attached Files');
+      expect(emailData.html).toContain('drawing.pdf (2.0 KB)');
+      expect(emailData.text).toContain('Attached Files\n--------------\n\n- drawing.pdf (2.0 KB)\n  SHA-256: abc123');
+    });
+
+    it('should link files with checksums when they are over the budget', () => {
+      sender = new GmailEmailSender();
+      sender.releaseAssets = { mode: 'linked', files, attachments: [] };
+
+      const emailData = sender.createEmailTemplate('jane@acme.com', 'Release', '<p>Body</p>');
+
+      expect(emailData.attachments).toEqual([]);
+      expect(emailData.html).toContain('<a href="https://github.com/pde/releases/download/v1/drawing.pdf">drawing.pdf</a> (2.0 KB)');
+      expect(emailData.html).toContain('SHA-256: abc123');
+      expect(emailData.text).toContain('- drawing.pdf (2.0 KB)\n  https://github.com/pde/releases/download/v1/drawing.pdf\n  SHA-256: abc123');
+    });
+
+    it('should point local files without a link to the release page', () => {
+      process.env.RELEASE_URL = 'https://github.com/pde/releases/tag/v1';
+      sender = new GmailEmailSender();
+      sender.releaseAssets = { mode: 'linked', files: [{ ...files[0], url: '' }], attachments: [] };
+
+      const emailData = sender.createEmailTemplate('jane@acme.com', 'Release', '<p>Body</p>');
+
+      expect(emailData.html).toContain('Download them from the <a href="https://github.com/pde/releases/tag/v1">release page</a>');
+      expect(emailData.html).toContain('<li>drawing.pdf (2.0 KB)');
+      expect(emailData.html).not.toContain('releases/download');
+      expect(emailData.text).toContain('Release page: https://github.com/pde/releases/tag/v1\n\n- drawing.pdf (2.0 KB)\n  SHA-256: abc123');
+    });
+  });
+
+  describe('sendEmailWithRetry', () => {
+    it('should retry a failed send', async () => {
+      sender = new GmailEmailSender();
+      sender.sendEmail = jest.fn()
+        .mockRejectedValueOnce(new Error('421 Service not available'))
+        .mockResolvedValueOnce({ success: true, messageId: 'id-2' });
+
+      await expect(sender.sendEmailWithRetry({ to: 'jane@acme.com' }, 1)).resolves.toEqual({ success: true, messageId: 'id-2' });
+      expect(sender.sendEmail).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('sendCustomerEmails', () => {
+    it('should send one message per To recipient with CC and BCC headers', async () => {
+      process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+        { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+        { name: 'Max Manager', email: 'max@acme.com', role: 'cc' },
+        { name: '', email: 'archive@pde.com', role: 'bcc' }
+      ]);
+
+      process.env.GMAIL_CLIENT_ID = 'client-id';
+      process.env.GMAIL_CLIENT_SECRET = 'client-secret';
+      process.env.GMAIL_REFRESH_TOKEN = 'refresh-token';
+
+      sender = new GmailEmailSender();
+      const send = jest.fn().mockResolvedValue({ data: { id: 'id-1', threadId: 'thread-1' } });
+      sender.getTransport().getGmailClient = jest.fn().mockResolvedValue({ users: { messages: { send } } });
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+
+      await sender.sendCustomerEmails();
+
+      expect(send).toHaveBeenCalledTimes(1);
+      const raw = Buffer.from(send.mock.calls[0][0].requestBody.raw, 'base64').toString('utf8');
+      expect(raw).toContain('To: Jane Doe <jane@acme.com>\r\n');
+      expect(raw).toContain('Cc: Max Manager <max@acme.com>\r\n');
+      expect(raw).toContain('Bcc: archive@pde.com\r\n');
+      expect(raw).toContain('Content-Type: multipart/alternative');
+      expect(raw).toMatch(/^Message-ID: <.+@pde\.com>\r$/m);
+      expect(core.setOutput).toHaveBeenCalledWith('attachment_mode', 'none');
+    });
+
+    it('should send each CC and BCC recipient exactly one message', async () => {
+      process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+        { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+        { name: 'John Roe', email: 'john@acme.com', role: 'to' },
+        { name: 'Ann Lee', email: 'ann@acme.com', role: 'to' },
+        { name: 'Max Manager', email: 'max@acme.com', role: 'cc' },
+        { name: '', email: 'archive@pde.com', role: 'bcc' }
+      ]);
+      process.env.MAIL_TRANSPORT = 'smtp';
+      process.env.SMTP_HOST = 'smtp.pde.com';
+
+      sender = new GmailEmailSender();
+      const sendMail = jest.fn()
+        .mockRejectedValueOnce(new Error('550 Mailbox unavailable'))
+        .mockResolvedValue({ messageId: 'id-1' });
+      sender.getTransport().getTransporter = () => ({ sendMail });
+      sender.sendEmailWithRetry = emailData => sender.sendEmail(emailData);
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+
+      await expect(sender.sendCustomerEmails()).rejects.toThrow('1 email(s) failed to send');
+
+      // The first message failed, so the copies ride along with the next one
+      const envelopes = sendMail.mock.calls.map(([mail]) => mail.envelope.to);
+      expect(envelopes).toEqual([
+        ['jane@acme.com', 'max@acme.com', 'archive@pde.com'],
+        ['john@acme.com', 'max@acme.com', 'archive@pde.com'],
+        ['ann@acme.com']
+      ]);
+      const delivered = envelopes.slice(1).flat();
+      expect(delivered.filter(email => email === 'max@acme.com')).toHaveLength(1);
+      expect(delivered.filter(email => email === 'archive@pde.com')).toHaveLength(1);
+    });
+  });
+});
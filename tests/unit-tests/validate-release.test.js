@@ -4,12 +4,14 @@ const path = require('path');
 // Mock @actions/core for local testing
 const mockCore = {
   setOutput: jest.fn(),
-  setFailed: jest.fn()
+  setFailed: jest.fn(),
+  error: jest.fn()
 };
 jest.mock('@actions/core', () => mockCore);
 
 // Import the validator
 const ReleaseValidator = require('../../scripts/validate-release');
+const ReleaseConfig = require('../../scripts/release-config');
 
 describe('ReleaseValidator', () => {
   let validator;
@@ -20,6 +22,8 @@ describe('ReleaseValidator', () => {
     process.env.JIRA_TICKETS = '';
     process.env.RELEASE_TYPE = '';
     process.env.RELEASE_BODY = '';
+    delete process.env.CUSTOMER_RECIPIENTS;
+    delete process.env.RELEASE_TITLE;
     
     // Reset mock calls
     jest.clearAllMocks();
@@ -27,7 +31,7 @@ describe('ReleaseValidator', () => {
 
   describe('validateCustomerEmails', () => {
     it('should validate correct email format', () => {
-      process.env.CUSTOMER_EMAILS = 'test@example.com, another@test.com';
+      process.env.CUSTOMER_EMAILS = 'test@customer.com, another@customer.com';
       
       validator = new ReleaseValidator();
       const result = validator.validateCustomerEmails();
@@ -46,7 +50,7 @@ describe('ReleaseValidator', () => {
     });
 
     it('should fail for invalid email format', () => {
-      process.env.CUSTOMER_EMAILS = 'invalid-email, test@example.com';
+      process.env.CUSTOMER_EMAILS = 'invalid-email, test@customer.com';
       
       validator = new ReleaseValidator();
       const result = validator.validateCustomerEmails();
@@ -55,13 +59,266 @@ describe('ReleaseValidator', () => {
       expect(result.error).toContain('Invalid email format');
     });
 
+    it('should validate structured recipients', () => {
+      process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+        { name: 'Jane Doe', email: 'jane@acme.com', role: 'to' },
+        { name: 'Max Manager', email: 'max@acme', role: 'cc' }
+      ]);
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerEmails();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('max@acme');
+    });
+
+    it('should require at least one To recipient', () => {
+      process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+        { name: 'Max Manager', email: 'max@acme.com', role: 'cc' }
+      ]);
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerEmails();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('No customer emails found');
+    });
+
     it('should handle multiple valid emails', () => {
-      process.env.CUSTOMER_EMAILS = 'email1@test.com, email2@test.com, email3@test.com';
+      process.env.CUSTOMER_EMAILS = 'email1@customer.com, email2@customer.com, email3@customer.com';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerEmails();
+      
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('validateCustomerGroups', () => {
+    beforeEach(() => {
+      process.env.CUSTOMER_DIRECTORY_PATH = path.join(__dirname, '../mock-data/config/customers.yml');
+    });
+
+    afterEach(() => {
+      delete process.env.CUSTOMER_DIRECTORY_PATH;
+      delete process.env.CUSTOMER_GROUPS;
+    });
+
+    it('should accept known customer groups', () => {
+      process.env.CUSTOMER_GROUPS = 'acme,globex';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerGroups();
+      
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject unknown customer groups', () => {
+      process.env.CUSTOMER_GROUPS = 'acme,umbrella';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerGroups();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('Unknown customer group(s): umbrella');
+    });
+
+    it('should warn about groups without contacts', () => {
+      process.env.CUSTOMER_GROUPS = 'initech';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerGroups();
+      
+      expect(result.valid).toBe(true);
+      expect(result.warning).toContain('initech');
+    });
+  });
+
+  describe('email domain allowlist', () => {
+    beforeEach(() => {
+      process.env.CUSTOMER_DIRECTORY_PATH = path.join(__dirname, '../mock-data/config/customers.yml');
+    });
+
+    afterEach(() => {
+      delete process.env.CUSTOMER_DIRECTORY_PATH;
+      delete process.env.CUSTOMER_GROUPS;
+    });
+
+    it('should accept allowed domains and their subdomains', () => {
+      process.env.CUSTOMER_EMAILS = 'po@company.com, eng@plant.customer.com';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateCustomerEmails().valid).toBe(true);
+    });
+
+    it('should block and list recipients outside the allowlist', () => {
+      process.env.CUSTOMER_EMAILS = 'eng@customer.com, someone@gmail.com, buyer@custmer.com';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerEmails();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('someone@gmail.com, buyer@custmer.com');
+      expect(result.blockedEmails).toEqual(['someone@gmail.com', 'buyer@custmer.com']);
+    });
+
+    it('should allow the domains of a customer named by the release', () => {
+      process.env.CUSTOMER_GROUPS = 'acme';
+      process.env.CUSTOMER_EMAILS = 'jane.doe@acme.com';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateCustomerEmails().valid).toBe(true);
+    });
+
+    it('should allow customer domains on expanded recipients', () => {
+      process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+        { name: 'Jane Doe', email: 'jane.doe@acme.com', role: 'to', customer: 'acme' },
+        { name: 'Hank Scorpio', email: 'hank@acme.com', role: 'to', customer: 'globex' }
+      ]);
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerEmails();
+      
+      expect(result.blockedEmails).toEqual(['hank@acme.com']);
+    });
+
+    it('should not lend one named customer\'s domains to another customer\'s recipients', () => {
+      process.env.CUSTOMER_GROUPS = 'acme,globex';
+      process.env.CUSTOMER_RECIPIENTS = JSON.stringify([
+        { name: 'Jane Doe', email: 'jane.doe@acme.com', role: 'to', customer: 'acme' },
+        { name: 'Hank Scorpio', email: 'hank@acme.com', role: 'to', customer: 'globex' },
+        { name: '', email: 'stranger@acme.com', role: 'to' }
+      ]);
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateCustomerEmails();
+      
+      expect(result.blockedEmails).toEqual(['hank@acme.com', 'stranger@acme.com']);
+    });
+
+    it('should accept acknowledged domains and addresses with a warning', () => {
+      process.env.CUSTOMER_EMAILS = 'eng@partner.org, someone@gmail.com';
+      process.env.RELEASE_BODY = `
+        **Override-Domain-Check:** partner.org, someone@gmail.com
+      `;
       
       validator = new ReleaseValidator();
       const result = validator.validateCustomerEmails();
       
       expect(result.valid).toBe(true);
+      expect(result.warning).toContain('eng@partner.org, someone@gmail.com');
+    });
+
+    it('should not treat an acknowledged address as a whole domain', () => {
+      process.env.CUSTOMER_EMAILS = 'someone@gmail.com, other@gmail.com';
+      process.env.RELEASE_BODY = 'Override-Domain-Check: someone@gmail.com';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateCustomerEmails().blockedEmails).toEqual(['other@gmail.com']);
+    });
+
+    it('should output the blocked addresses', () => {
+      process.env.CUSTOMER_EMAILS = 'someone@gmail.com';
+      
+      validator = new ReleaseValidator();
+      validator.validate();
+      
+      expect(mockCore.setOutput).toHaveBeenCalledWith('blocked_emails', 'someone@gmail.com');
+    });
+
+    it('should skip the check without an allowlist', () => {
+      process.env.RELEASE_CONFIG_PATH = path.join(__dirname, 'missing-config.yml');
+      process.env.CUSTOMER_EMAILS = 'someone@gmail.com';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateCustomerEmails().valid).toBe(true);
+      
+      delete process.env.RELEASE_CONFIG_PATH;
+    });
+  });
+
+  describe('validateRecipientRisk', () => {
+    beforeEach(() => {
+      process.env.CUSTOMER_DIRECTORY_PATH = path.join(__dirname, '../mock-data/config/customers.yml');
+    });
+
+    afterEach(() => {
+      delete process.env.CUSTOMER_DIRECTORY_PATH;
+    });
+
+    it('should pass known contacts without findings', () => {
+      process.env.CUSTOMER_EMAILS = 'jane.doe@acme.com';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateRecipientRisk();
+      
+      expect(result.valid).toBe(true);
+      expect(result.warning).toBeUndefined();
+    });
+
+    it('should reject likely typos of known domains', () => {
+      process.env.CUSTOMER_EMAILS = 'jane.doe@acme.cmo, someone@gmial.com';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateRecipientRisk();
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('jane.doe@acme.cmo (did you mean acme.com?)');
+      expect(result.errors[0]).toContain('someone@gmial.com (did you mean gmail.com?)');
+    });
+
+    it('should not flag an acknowledged domain as a typo', () => {
+      process.env.CUSTOMER_EMAILS = 'buyer@acme.co';
+      process.env.RELEASE_BODY = 'Override-Domain-Check: acme.co';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateRecipientRisk().valid).toBe(true);
+    });
+
+    it('should warn about role accounts and personal webmail', () => {
+      process.env.CUSTOMER_EMAILS = 'info@acme.com, jane.doe@gmail.com';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateRecipientRisk();
+      
+      expect(result.valid).toBe(true);
+      expect(result.warning).toContain('Role account recipient(s): info@acme.com');
+      expect(result.warning).toContain('Personal webmail recipient(s): jane.doe@gmail.com');
+    });
+
+    it('should warn about duplicates differing in case or plus-addressing', () => {
+      process.env.CUSTOMER_EMAILS = 'jane.doe@acme.com, Jane.Doe+drawings@ACME.com';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateRecipientRisk();
+      
+      expect(result.warning).toContain('Duplicate recipient(s): jane.doe@acme.com / Jane.Doe+drawings@ACME.com');
+    });
+
+    it('should warn about first-time recipients for a customer', () => {
+      process.env.CUSTOMER_EMAILS = 'jane.doe@acme.com, new.buyer@acme.com, eng@customer.com';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateRecipientRisk();
+      
+      expect(result.warning).toContain('First-time recipient(s), please review: new.buyer@acme.com (acme), eng@customer.com');
+    });
+
+    it('should surface findings through validation_warnings', () => {
+      process.env.CUSTOMER_EMAILS = 'new.buyer@acme.com';
+      
+      validator = new ReleaseValidator();
+      validator.validate();
+      
+      expect(mockCore.setOutput).toHaveBeenCalledWith(
+        'validation_warnings',
+        expect.stringContaining('First-time recipient(s), please review: new.buyer@acme.com (acme)')
+      );
     });
   });
 
@@ -172,6 +429,130 @@ describe('ReleaseValidator', () => {
     });
   });
 
+  describe('validateDeclaredReleaseType', () => {
+    it('should accept a single declared type', () => {
+      validator = new ReleaseValidator({ releaseBody: '**Release Type:** Bug Fix Release' });
+      
+      expect(validator.validateDeclaredReleaseType().valid).toBe(true);
+    });
+
+    it('should accept a body without a Release Type field', () => {
+      validator = new ReleaseValidator({ releaseBody: '## Business Impact\nFaster assembly.' });
+      
+      expect(validator.validateDeclaredReleaseType().valid).toBe(true);
+    });
+
+    it('should fail when the template placeholder was left in', () => {
+      validator = new ReleaseValidator({
+        releaseBody: '# Release\n\n**Release Type:** [Major Release | Minor Update | Bug Fix | Documentation]'
+      });
+      const result = validator.validateDeclaredReleaseType();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('template placeholder');
+      expect(result.annotations[0].properties.startLine).toBe(3);
+    });
+
+    it('should fail when several types are listed', () => {
+      validator = new ReleaseValidator({ releaseBody: '**Release Type:** Major Release / Hotfix' });
+      const result = validator.validateDeclaredReleaseType();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Release Type lists several types (Major Release, Hotfix); choose one');
+    });
+
+    it('should fail when front matter lists several types', () => {
+      validator = new ReleaseValidator({ releaseBody: '```yaml\ntype: [major, bugfix]\n```\n' });
+      
+      expect(validator.validateDeclaredReleaseType().valid).toBe(false);
+    });
+  });
+
+  describe('release types from config', () => {
+    it('should accept the types added in release_config.yml', () => {
+      ['hotfix', 'ecn', 'prototype'].forEach(type => {
+        process.env.RELEASE_TYPE = type;
+        validator = new ReleaseValidator();
+        
+        expect(validator.validateReleaseType().valid).toBe(true);
+      });
+    });
+
+    it('should list the configured types for unknown ones', () => {
+      process.env.RELEASE_CONFIG_PATH = path.join(__dirname, '../mock-data/config/release-types.yml');
+      process.env.RELEASE_TYPE = 'major';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateReleaseType();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Invalid release type: major. Valid types: recall, routine');
+      
+      delete process.env.RELEASE_CONFIG_PATH;
+    });
+  });
+
+  describe('validateVersion', () => {
+    afterEach(() => {
+      delete process.env.RELEASE_TAG;
+      delete process.env.DECLARED_RELEASE_TYPE;
+      process.env.PREVIOUS_TAG = '';
+    });
+
+    it('should accept the next version', () => {
+      process.env.RELEASE_TAG = 'v2.5.0';
+      process.env.PREVIOUS_TAG = 'v2.4.1';
+      process.env.RELEASE_TYPE = 'minor';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateVersion()).toEqual({ valid: true });
+    });
+
+    it('should reject tags that go backwards', () => {
+      process.env.RELEASE_TAG = 'v2.3.0';
+      process.env.PREVIOUS_TAG = 'v2.4.1';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateVersion();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Tag v2.3.0 is not newer than the previous release tag v2.4.1');
+    });
+
+    it('should reject skipped versions with the expected tag', () => {
+      process.env.RELEASE_TAG = 'v2.6.0';
+      process.env.PREVIOUS_TAG = 'v2.4.1';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateVersion();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Tag v2.6.0 skips versions after v2.4.1 (expected v2.5.0)');
+    });
+
+    it('should warn when the declared type disagrees with the bump', () => {
+      process.env.RELEASE_TAG = 'v3.0.0';
+      process.env.PREVIOUS_TAG = 'v2.4.1';
+      process.env.RELEASE_TYPE = 'major';
+      process.env.DECLARED_RELEASE_TYPE = 'bugfix';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateVersion();
+      
+      expect(result.valid).toBe(true);
+      expect(result.warning).toBe("Release type 'bugfix' does not match the major version bump from v2.4.1 to v3.0.0");
+    });
+
+    it('should skip the checks without a previous semver tag', () => {
+      process.env.RELEASE_TAG = 'v9.0.0';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateVersion()).toEqual({ valid: true });
+    });
+  });
+
   describe('validateReleaseContent', () => {
     it('should validate release with business impact', () => {
       process.env.RELEASE_BODY = `
@@ -218,6 +599,28 @@ describe('ReleaseValidator', () => {
       expect(result.valid).toBe(true);
     });
 
+    it('should accept the section aliases of the release document', () => {
+      process.env.RELEASE_BODY = `
+        # What's New
+        Faster assembly for every customer line.
+        
+        # Changes Made
+        Reworked the bracket interface tolerances.
+      `;
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateReleaseContent().valid).toBe(true);
+    });
+
+    it('should accept the sections as field labels', () => {
+      process.env.RELEASE_BODY = '**Technical Changes:** Reworked the bracket interface tolerances.';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateReleaseContent().valid).toBe(true);
+    });
+
     it('should fail for empty release body', () => {
       process.env.RELEASE_BODY = '';
       
@@ -245,6 +648,268 @@ describe('ReleaseValidator', () => {
     });
   });
 
+  describe('validateFieldRules', () => {
+    const completeBody = `
+      **Release Title:** Assembly Update
+      
+      ## Issue Summary
+      Assembly took too long.
+      
+      ## Resolution
+      Reworked the assembly sequence.
+      
+      ## Business Impact
+      Faster assembly for every customer line.
+      
+      ## Technical Changes
+      Reworked the bracket interface tolerances.
+    `;
+
+    it('should pass when required fields are present and within limits', () => {
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
+      process.env.RELEASE_BODY = completeBody;
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateFieldRules().valid).toBe(true);
+    });
+
+    it('should report each missing required field', () => {
+      process.env.RELEASE_BODY = `
+        ## Business Impact
+        Faster assembly for every customer line.
+      `;
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateFieldRules();
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        "Required field 'Release Title' is missing or empty",
+        "Required field 'Customer Email(s)' is missing or empty",
+        "Required field 'Issue Summary' is missing or empty",
+        "Required field 'Resolution' is missing or empty",
+        "Required field 'Technical Changes' is missing or empty"
+      ]);
+    });
+
+    it('should accept section aliases for required fields', () => {
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
+      process.env.RELEASE_BODY = completeBody
+        .replace('## Issue Summary', '## Problem Identified')
+        .replace('## Resolution', '## Resolution Description');
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateFieldRules().valid).toBe(true);
+    });
+
+    it('should accept the release name as the title', () => {
+      process.env.RELEASE_TITLE = 'Assembly Update';
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
+      process.env.RELEASE_BODY = completeBody.replace('**Release Title:** Assembly Update', '');
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateFieldRules().valid).toBe(true);
+    });
+
+    it('should enforce length limits on aliased sections', () => {
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
+      process.env.RELEASE_BODY = completeBody.replace(
+        '## Issue Summary\n      Assembly took too long.',
+        '## Problem Identified\n      Too short'
+      );
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateFieldRules();
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(["'Issue Summary' is too short (9 characters, minimum 10)"]);
+    });
+
+    it('should report content over the maximum length', () => {
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
+      process.env.RELEASE_BODY = completeBody.replace(
+        'Faster assembly for every customer line.',
+        'x'.repeat(1001)
+      );
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateFieldRules();
+      
+      expect(result.errors).toEqual(["'Business Impact' is too long (1001 characters, maximum 1000)"]);
+    });
+
+    it('should require the sections of the release type', () => {
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
+      process.env.RELEASE_TYPE = 'ecn';
+      process.env.RELEASE_BODY = completeBody;
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateFieldRules().errors).toEqual([
+        "Required field 'Customer Actions Required' is missing or empty"
+      ]);
+    });
+
+    it('should report sections of the template fixture below the minimum length', () => {
+      process.env.RELEASE_TITLE = 'Test Release';
+      process.env.RELEASE_BODY = fs.readFileSync(path.resolve(__dirname, '../../test-release-body.txt'), 'utf8');
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateFieldRules().errors).toEqual([
+        "'Resolution' is too short (19 characters, minimum 20)",
+        "'Technical Changes' is too short (12 characters, minimum 15)"
+      ]);
+    });
+
+    it('should follow the rules of the loaded config', () => {
+      process.env.RELEASE_CONFIG_PATH = path.join(__dirname, 'missing-config.yml');
+      process.env.RELEASE_BODY = `
+        ## Business Impact
+        Short
+      `;
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateFieldRules().valid).toBe(true);
+      
+      delete process.env.RELEASE_CONFIG_PATH;
+    });
+  });
+
+  describe('validateTemplatePlaceholders', () => {
+    it('should pass when every placeholder was replaced', () => {
+      process.env.RELEASE_BODY = `
+        ## Release Summary
+        Faster exports for all users.
+      `;
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateTemplatePlaceholders();
+      
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report the section and line of leftover placeholders', () => {
+      process.env.RELEASE_BODY = [
+        '## Release Summary',
+        'Faster exports for all users.',
+        '',
+        '## Technical Changes',
+        '[Describe the technical changes in this release.]'
+      ].join('\n');
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateTemplatePlaceholders();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('[Describe the technical changes in this release.] in "Technical Changes" (line 5)');
+      expect(result.annotations[0].properties).toEqual({
+        title: 'Unfilled template placeholder',
+        startLine: 5,
+        startColumn: 1
+      });
+    });
+
+    it('should ignore placeholders on unchecked checklist items', () => {
+      process.env.RELEASE_BODY = [
+        '## Files Included',
+        '- [x] PDF documentation',
+        '- [ ] Other: [describe]'
+      ].join('\n');
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateTemplatePlaceholders().valid).toBe(true);
+    });
+
+    it('should flag template image targets', () => {
+      process.env.RELEASE_BODY = [
+        '## Visual Documentation',
+        '![Dashboard](image-url)'
+      ].join('\n');
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateTemplatePlaceholders();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('(image-url) in "Visual Documentation" (line 2)');
+    });
+  });
+
+  describe('validateInternalContent', () => {
+    it('should report internal content withheld from customers', () => {
+      process.env.RELEASE_BODY = [
+        '## Business Impact',
+        'Faster exports for all users.',
+        '<!-- internal -->',
+        'Margin impact is still under review.',
+        '<!-- /internal -->',
+        '',
+        '## Notes for Engineering Team',
+        'Known limitation: large assemblies export slowly.'
+      ].join('\n');
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateInternalContent();
+      
+      expect(result.valid).toBe(true);
+      expect(result.warning).toBe(
+        'Internal content withheld from customers: internal block (lines 3-5), "Notes for Engineering Team" (lines 7-8)'
+      );
+      expect(result.redactions).toHaveLength(2);
+    });
+
+    it('should fail for an internal block that is never closed', () => {
+      process.env.RELEASE_BODY = '## Business Impact\n<!-- internal -->\nMargin impact is still under review.';
+      
+      validator = new ReleaseValidator();
+      const result = validator.validateInternalContent();
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Internal block opened on line 2 is never closed with <!-- /internal -->');
+      expect(result.annotations[0].properties.startLine).toBe(2);
+    });
+
+    it('should set the redacted_content output', () => {
+      process.env.RELEASE_BODY = '## Notes for Engineering Team\nLessons learned.';
+      
+      validator = new ReleaseValidator();
+      validator.validate();
+      
+      expect(mockCore.setOutput).toHaveBeenCalledWith('redacted_content', JSON.stringify([
+        { kind: 'section', label: 'Notes for Engineering Team', startLine: 1, endLine: 2, closed: true }
+      ]));
+    });
+  });
+
+  describe('validateTemplates', () => {
+    it('should pass with the shipped templates', () => {
+      validator = new ReleaseValidator();
+      
+      expect(validator.validateTemplates().valid).toBe(true);
+    });
+
+    it('should report unknown placeholders in configured templates', () => {
+      validator = new ReleaseValidator({
+        config: new ReleaseConfig({
+          email: { subject_template: 'Release {release_titel}' },
+          jira: { comment_template: '{#each files}- {label}' }
+        })
+      });
+      const result = validator.validateTemplates();
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Template error: Unknown placeholder {release_titel} in email.subject_template',
+        'Template error: Unclosed {#each files} in jira.comment_template'
+      ]);
+    });
+  });
+
   describe('validate', () => {
     it('should pass validation for complete valid release', () => {
       const sampleRelease = fs.readFileSync(
@@ -252,7 +917,7 @@ describe('ReleaseValidator', () => {
         'utf8'
       );
       
-      process.env.CUSTOMER_EMAILS = 'test@example.com';
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
       process.env.JIRA_TICKETS = 'PDE-123';
       process.env.RELEASE_TYPE = 'major';
       process.env.RELEASE_BODY = sampleRelease;
@@ -283,15 +948,22 @@ describe('ReleaseValidator', () => {
     });
 
     it('should set GitHub Actions outputs', () => {
-      process.env.CUSTOMER_EMAILS = 'test@example.com';
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
       process.env.JIRA_TICKETS = 'PDE-123';
       process.env.RELEASE_TYPE = 'major';
+      process.env.RELEASE_TITLE = 'Assembly Update';
       process.env.RELEASE_BODY = `
+        ## Issue Summary
+        Assembly took too long
+        
+        ## Resolution
+        Reworked the assembly sequence
+        
         ## Business Impact
-        Some impact
+        Some impact for customers
         
         ## Technical Changes
-        Some changes
+        Some changes to the fixtures
       `;
       
       validator = new ReleaseValidator();
@@ -300,6 +972,41 @@ describe('ReleaseValidator', () => {
       expect(mockCore.setOutput).toHaveBeenCalledWith('is_valid', 'true');
     });
 
+    it('should report invalid front matter instead of throwing', () => {
+      process.env.CUSTOMER_EMAILS = 'test@customer.com';
+      process.env.RELEASE_TYPE = 'major';
+      process.env.RELEASE_BODY = '```yaml\ncustomers: [unclosed\n```\n\n## Business Impact\nSome impact for customers';
+      
+      validator = new ReleaseValidator();
+      let result;
+      expect(() => { result = validator.validate(); }).not.toThrow();
+      
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([expect.stringContaining('Invalid YAML front matter')]);
+      expect(result.annotations[0].properties).toMatchObject({ startLine: 1 });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('is_valid', 'false');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('validation_errors', expect.stringContaining('Invalid YAML front matter'));
+      expect(mockCore.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid YAML front matter'));
+    });
+
+    it('should check without setting outputs', () => {
+      validator = new ReleaseValidator({
+        customerEmails: 'someone@gmail.com',
+        releaseBody: '## Business Impact\nSome impact'
+      });
+      const result = validator.check();
+      
+      expect(result.isValid).toBe(false);
+      expect(result.problems).toContainEqual({
+        severity: 'error',
+        message: 'Recipient outside the allowed email domains: someone@gmail.com',
+        line: null,
+        column: null
+      });
+      expect(mockCore.setOutput).not.toHaveBeenCalled();
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
     it('should call setFailed for invalid releases', () => {
       process.env.CUSTOMER_EMAILS = '';
       process.env.RELEASE_BODY = 'Some content';
@@ -315,7 +1022,7 @@ describe('ReleaseValidator', () => {
     it('should validate correct email format', () => {
       validator = new ReleaseValidator();
       
-      expect(validator.isValidEmail('test@example.com')).toBe(true);
+      expect(validator.isValidEmail('test@customer.com')).toBe(true);
       expect(validator.isValidEmail('user.name@domain.co.uk')).toBe(true);
       expect(validator.isValidEmail('invalid-email')).toBe(false);
       expect(validator.isValidEmail('test@')).toBe(false);
@@ -333,26 +1040,60 @@ describe('ReleaseValidator', () => {
       expect(validator.isValidJiraTicket('PDE-')).toBe(false);
       expect(validator.isValidJiraTicket('-123')).toBe(false);
     });
+
+    it('should accept every project key configured in release_config.yml', () => {
+      validator = new ReleaseValidator();
+      
+      expect(validator.isValidJiraTicket('CAST-236')).toBe(true);
+      expect(validator.isValidJiraTicket('cast-236')).toBe(false);
+    });
+
+    it('should apply the per-project allowlist', () => {
+      process.env.PROJECT_NAME = 'project_a';
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.isValidJiraTicket('CAST-236')).toBe(true);
+      expect(validator.isValidJiraTicket('PDE-123')).toBe(false);
+      
+      delete process.env.PROJECT_NAME;
+    });
+
+    it('should fall back to PDE tickets without a config file', () => {
+      process.env.RELEASE_CONFIG_PATH = path.join(__dirname, 'missing-config.yml');
+      
+      validator = new ReleaseValidator();
+      
+      expect(validator.isValidJiraTicket('PDE-123')).toBe(true);
+      expect(validator.isValidJiraTicket('CAST-236')).toBe(false);
+      
+      delete process.env.RELEASE_CONFIG_PATH;
+    });
   });
 }); 
 
 describe('Template Validation', () => {
-  it('should pass validation for the current release_template.md', () => {
+  it('should reject the unedited release_template.md with annotations', () => {
     const templatePath = path.resolve(__dirname, '../../release_template.md');
     const templateBody = fs.readFileSync(templatePath, 'utf8');
     process.env.RELEASE_BODY = templateBody;
-    process.env.CUSTOMER_EMAILS = 'test@example.com';
+    process.env.CUSTOMER_EMAILS = 'test@customer.com';
     process.env.RELEASE_TYPE = 'major';
 
     validator = new ReleaseValidator();
     const result = validator.validate();
 
-    expect(result.isValid).toBe(true);
+    expect(result.isValid).toBe(false);
+    expect(result.errors.join('\n')).toContain('[Brief summary of the release.] in "Release Summary" (line 4)');
+    expect(mockCore.error).toHaveBeenCalledWith(
+      'Unfilled template placeholder [Brief summary of the release.] in "Release Summary"',
+      expect.objectContaining({ startLine: 4 })
+    );
   });
 }); 
 
 describe('Manual Test File Validation', () => {
-  it('should pass validation for test-release-body.txt', () => {
+  it('should only flag the short sections of test-release-body.txt', () => {
     const testFilePath = path.resolve(__dirname, '../../test-release-body.txt');
     if (!fs.existsSync(testFilePath)) {
       // If the file doesn't exist, skip the test
@@ -361,12 +1102,16 @@ describe('Manual Test File Validation', () => {
     }
     const testBody = fs.readFileSync(testFilePath, 'utf8');
     process.env.RELEASE_BODY = testBody;
-    process.env.CUSTOMER_EMAILS = 'test@example.com';
+    process.env.RELEASE_TITLE = 'Test Release';
+    process.env.CUSTOMER_EMAILS = 'test@customer.com';
     process.env.RELEASE_TYPE = 'major';
 
     validator = new ReleaseValidator();
     const result = validator.validate();
 
-    expect(result.isValid).toBe(true);
+    expect(result.errors).toEqual([
+      "'Resolution' is too short (19 characters, minimum 20)",
+      "'Technical Changes' is too short (12 characters, minimum 15)"
+    ]);
   });
 }); 
\ No newline at end of file
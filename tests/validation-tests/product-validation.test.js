@@ -36,7 +36,8 @@ describe('Product Validation Tests', () => {
       releaseTypes.forEach(type => {
         process.env.RELEASE_TYPE = type;
         process.env.CUSTOMER_EMAILS = 'test@customer.com';
-        process.env.RELEASE_BODY = '## Business Impact\nSome impact.';
+        process.env.RELEASE_TITLE = 'Assembly Update';
+        process.env.RELEASE_BODY = '## Issue Summary\nAssembly took too long.\n\n## Resolution\nReworked the assembly sequence.\n\n## Business Impact\nFaster assembly for customers.\n\n## Technical Changes\nReworked the bracket interface.';
         const validator = new ReleaseValidator();
         const result = validator.validate();
         expect(result.isValid).toBe(true);